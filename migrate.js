@@ -0,0 +1,277 @@
+// ==================== SCHEMA MIGRATIONS ====================
+// Schema changes live in migrations/NNN_description.js, each exporting { up(client), down(client)?, baseline? }.
+// Every migration runs in its own transaction and is recorded in schema_migrations together with a checksum
+// of its file, so the status command shows pending, edited and unknown migrations on any database.
+//
+//   node migrate.js status        list every migration and whether this database has it
+//   node migrate.js up            apply pending migrations
+//   node migrate.js down [id]     roll back the latest migration, or every migration after <id>
+//
+// `baseline: true` marks one-time data fixes that databases created before schema_migrations existed have
+// already had (the old runMigrations() ran them on every boot). On such a database they are recorded as
+// applied without running; a fresh database runs them normally.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3,})_([a-z0-9_]+)\.js$/;
+// Serializes migrations across processes (e.g. two instances booting at once); any constant works
+const MIGRATION_LOCK_KEY = 20240051;
+
+function loadMigrations() {
+  const seen = new Map();
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .map(file => {
+      const [, idText, name] = file.match(MIGRATION_FILE_PATTERN);
+      const id = parseInt(idText, 10);
+      if (seen.has(id)) throw new Error(`Migrations ${seen.get(id)} and ${file} share number ${id}`);
+      seen.set(id, file);
+
+      const filePath = path.join(MIGRATIONS_DIR, file);
+      const migration = require(filePath);
+      if (typeof migration.up !== 'function') throw new Error(`Migration ${file} does not export up()`);
+      return {
+        id,
+        name,
+        file,
+        checksum: crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex'),
+        up: migration.up,
+        down: typeof migration.down === 'function' ? migration.down : null,
+        baseline: migration.baseline === true
+      };
+    })
+    .sort((a, b) => a.id - b.id);
+}
+
+function latestMigrationId() {
+  const migrations = loadMigrations();
+  return migrations.length ? migrations[migrations.length - 1].id : 0;
+}
+
+// Supabase only has the service_role role; on a plain local Postgres the table owner bypasses RLS anyway
+async function enableRowLevelSecurity(client, table) {
+  await client.query(`ALTER TABLE ${table} ENABLE ROW LEVEL SECURITY`);
+  const serviceRole = await client.query(`SELECT 1 FROM pg_roles WHERE rolname = 'service_role'`);
+  if (serviceRole.rows.length === 0) return;
+  await client.query(`DROP POLICY IF EXISTS "Service role only" ON ${table}`);
+  await client.query(`CREATE POLICY "Service role only" ON ${table} FOR ALL TO service_role USING (true) WITH CHECK (true)`);
+}
+
+async function tableExists(client, table) {
+  const result = await client.query('SELECT to_regclass($1) AS oid', [`public.${table}`]);
+  return result.rows[0].oid !== null;
+}
+
+async function withMigrationLock(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_KEY]);
+    const result = await fn();
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  }
+}
+
+async function getAppliedMigrations(client) {
+  if (!(await tableExists(client, 'schema_migrations'))) return new Map();
+  const result = await client.query('SELECT id, name, checksum, baselined, duration_ms, applied_at FROM schema_migrations ORDER BY id');
+  return new Map(result.rows.map(row => [row.id, row]));
+}
+
+async function ensureMigrationsTable(client, migrations) {
+  await withMigrationLock(client, async () => {
+    if (await tableExists(client, 'schema_migrations')) return;
+
+    const existingDatabase = await tableExists(client, 'students');
+    await client.query(`
+      CREATE TABLE schema_migrations (
+        id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        checksum TEXT NOT NULL,
+        baselined BOOLEAN DEFAULT false,
+        duration_ms INTEGER,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await enableRowLevelSecurity(client, 'schema_migrations');
+
+    if (existingDatabase) {
+      const baselined = migrations.filter(m => m.baseline);
+      for (const migration of baselined) {
+        await client.query(
+          'INSERT INTO schema_migrations (id, name, checksum, baselined) VALUES ($1, $2, $3, true)',
+          [migration.id, migration.name, migration.checksum]
+        );
+      }
+      console.log(`ℹ️  Existing database: recorded ${baselined.length} one-time data migration(s) as already applied`);
+    }
+  });
+}
+
+// Applies every pending migration in order and returns the ones that ran. Stops at the first failure,
+// leaving that migration rolled back; the error carries `migration` (the file name).
+async function runMigrations(db, { log = console.log } = {}) {
+  const migrations = loadMigrations();
+  const client = await db.connect();
+  const ran = [];
+  try {
+    await ensureMigrationsTable(client, migrations);
+    const applied = await getAppliedMigrations(client);
+
+    for (const migration of migrations.filter(m => !applied.has(m.id))) {
+      try {
+        const didRun = await withMigrationLock(client, async () => {
+          // Another process may have applied it while we waited for the lock
+          const done = await client.query('SELECT 1 FROM schema_migrations WHERE id = $1', [migration.id]);
+          if (done.rows.length > 0) return false;
+
+          const startedAt = Date.now();
+          await migration.up(client);
+          await client.query(
+            'INSERT INTO schema_migrations (id, name, checksum, duration_ms) VALUES ($1, $2, $3, $4)',
+            [migration.id, migration.name, migration.checksum, Date.now() - startedAt]
+          );
+          return true;
+        });
+        if (didRun) {
+          log(`✅ Migration ${migration.file} applied`);
+          ran.push(migration);
+        }
+      } catch (err) {
+        err.migration = migration.file;
+        throw err;
+      }
+    }
+    return ran;
+  } finally {
+    client.release();
+  }
+}
+
+// One entry per migration file plus any ids the database has that no file matches.
+// state: pending | applied | baselined | modified (file changed since it was applied) | unknown (no file)
+async function getMigrationStatus(db) {
+  const migrations = loadMigrations();
+  const client = await db.connect();
+  try {
+    const applied = await getAppliedMigrations(client);
+    const entries = migrations.map(migration => {
+      const row = applied.get(migration.id);
+      let state = 'pending';
+      if (row) state = row.checksum !== migration.checksum ? 'modified' : row.baselined ? 'baselined' : 'applied';
+      return {
+        id: migration.id,
+        file: migration.file,
+        state,
+        reversible: !!migration.down,
+        applied_at: row ? row.applied_at : null,
+        duration_ms: row ? row.duration_ms : null
+      };
+    });
+    const known = new Set(migrations.map(m => m.id));
+    for (const row of applied.values()) {
+      if (!known.has(row.id)) {
+        entries.push({ id: row.id, file: `${row.name} (no file)`, state: 'unknown', reversible: false, applied_at: row.applied_at, duration_ms: row.duration_ms });
+      }
+    }
+    entries.sort((a, b) => a.id - b.id);
+    return {
+      latest: migrations.length ? migrations[migrations.length - 1].id : 0,
+      entries,
+      pending: entries.filter(e => e.state === 'pending'),
+      modified: entries.filter(e => e.state === 'modified'),
+      unknown: entries.filter(e => e.state === 'unknown')
+    };
+  } finally {
+    client.release();
+  }
+}
+
+// Rolls back applied migrations newest first: just the latest one, or every one with an id above `to`
+async function rollbackMigrations(db, { to, log = console.log } = {}) {
+  const migrations = loadMigrations();
+  const byId = new Map(migrations.map(m => [m.id, m]));
+  const client = await db.connect();
+  const rolledBack = [];
+  try {
+    const appliedIds = [...(await getAppliedMigrations(client)).keys()].sort((a, b) => b - a);
+    const targets = to === undefined ? appliedIds.slice(0, 1) : appliedIds.filter(id => id > to);
+
+    for (const id of targets) {
+      const migration = byId.get(id);
+      if (!migration) throw new Error(`Migration ${id} is applied but its file is missing`);
+      if (!migration.down) throw new Error(`Migration ${migration.file} has no down() and cannot be rolled back`);
+      await withMigrationLock(client, async () => {
+        await migration.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE id = $1', [id]);
+      });
+      log(`↩️  Migration ${migration.file} rolled back`);
+      rolledBack.push(migration);
+    }
+    return rolledBack;
+  } finally {
+    client.release();
+  }
+}
+
+function printStatus(status) {
+  for (const entry of status.entries) {
+    const appliedAt = entry.applied_at ? new Date(entry.applied_at).toISOString().replace('T', ' ').slice(0, 19) : '';
+    console.log(`${entry.state.padEnd(10)} ${entry.file.padEnd(48)} ${appliedAt}`);
+  }
+  console.log(`\n${status.entries.length - status.pending.length - status.unknown.length} applied, ${status.pending.length} pending, ${status.modified.length} modified, ${status.unknown.length} unknown`);
+}
+
+async function main() {
+  require('dotenv').config();
+  const { Pool } = require('pg');
+  const [command = 'status', arg] = process.argv.slice(2);
+
+  if (!process.env.DATABASE_URL) {
+    console.error('❌ DATABASE_URL is not set');
+    process.exit(1);
+  }
+  const db = new Pool({ connectionString: process.env.DATABASE_URL, ssl: { rejectUnauthorized: false }, max: 1 });
+
+  try {
+    if (command === 'status') {
+      printStatus(await getMigrationStatus(db));
+    } else if (command === 'up') {
+      const ran = await runMigrations(db);
+      console.log(ran.length ? `✅ Applied ${ran.length} migration(s)` : '✅ Database schema is up to date');
+    } else if (command === 'down') {
+      const to = arg === undefined ? undefined : parseInt(arg, 10);
+      if (arg !== undefined && !Number.isInteger(to)) throw new Error(`Not a migration number: ${arg}`);
+      const rolledBack = await rollbackMigrations(db, { to });
+      if (rolledBack.length === 0) console.log('ℹ️  Nothing to roll back');
+    } else {
+      console.error('Usage: node migrate.js status | up | down [id]');
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    console.error(`❌ ${err.migration ? `Migration ${err.migration} failed: ` : ''}${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    await db.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  loadMigrations,
+  latestMigrationId,
+  runMigrations,
+  getMigrationStatus,
+  rollbackMigrations,
+  enableRowLevelSecurity,
+  tableExists
+};
@@ -0,0 +1,337 @@
+// Core tables that initializeDatabase() used to create on an empty database. group_timings was only ever
+// created by supabase_setup.sql, so fresh local databases were missing it. No down(): it would drop every table.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS students (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        grade TEXT NOT NULL,
+        parent_name TEXT NOT NULL,
+        parent_email TEXT NOT NULL,
+        primary_contact TEXT,
+        alternate_contact TEXT,
+        timezone TEXT DEFAULT 'Asia/Kolkata',
+        parent_timezone TEXT DEFAULT 'Asia/Kolkata',
+        program_name TEXT,
+        class_type TEXT,
+        duration TEXT,
+        currency TEXT DEFAULT '₹',
+        per_session_fee DECIMAL(10,2),
+        total_sessions INTEGER DEFAULT 0,
+        completed_sessions INTEGER DEFAULT 0,
+        remaining_sessions INTEGER DEFAULT 0,
+        fees_paid DECIMAL(10,2) DEFAULT 0,
+        group_id INTEGER,
+        group_name TEXT,
+        date_of_birth DATE,
+        payment_method TEXT,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS groups (
+        id SERIAL PRIMARY KEY,
+        group_name TEXT NOT NULL,
+        program_name TEXT NOT NULL,
+        duration TEXT NOT NULL,
+        timezone TEXT DEFAULT 'Asia/Kolkata',
+        max_students INTEGER DEFAULT 10,
+        current_students INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS group_timings (
+        id SERIAL PRIMARY KEY,
+        group_id INTEGER NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+        session_date DATE NOT NULL,
+        session_time TIME NOT NULL,
+        day_of_week INTEGER CHECK (day_of_week >= 0 AND day_of_week <= 6),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id SERIAL PRIMARY KEY,
+        student_id INTEGER,
+        group_id INTEGER,
+        session_type TEXT DEFAULT 'Private',
+        session_number INTEGER NOT NULL,
+        session_date DATE NOT NULL,
+        session_time TIME NOT NULL,
+        status TEXT DEFAULT 'Pending',
+        attendance TEXT,
+        cancelled_by TEXT,
+        class_link TEXT,
+        teacher_notes TEXT,
+        ppt_file_path TEXT,
+        recording_file_path TEXT,
+        homework_file_path TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+        FOREIGN KEY (group_id) REFERENCES groups(id) ON DELETE CASCADE
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS session_attendance (
+        id SERIAL PRIMARY KEY,
+        session_id INTEGER NOT NULL,
+        student_id INTEGER NOT NULL,
+        attendance TEXT DEFAULT 'Pending',
+        homework_grade TEXT,
+        homework_comments TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+        FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+        UNIQUE(session_id, student_id)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS materials (
+        id SERIAL PRIMARY KEY,
+        student_id INTEGER,
+        group_id INTEGER,
+        session_id INTEGER,
+        session_date DATE NOT NULL,
+        file_type TEXT NOT NULL,
+        file_name TEXT NOT NULL,
+        file_path TEXT NOT NULL,
+        uploaded_by TEXT NOT NULL,
+        uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        feedback_grade TEXT,
+        feedback_comments TEXT,
+        feedback_given INTEGER DEFAULT 0,
+        feedback_date TIMESTAMP,
+        FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+        FOREIGN KEY (group_id) REFERENCES groups(id) ON DELETE CASCADE,
+        FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS makeup_classes (
+        id SERIAL PRIMARY KEY,
+        student_id INTEGER NOT NULL,
+        original_session_id INTEGER,
+        reason TEXT NOT NULL,
+        credit_date DATE NOT NULL,
+        status TEXT DEFAULT 'Available',
+        used_date DATE,
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS payment_history (
+        id SERIAL PRIMARY KEY,
+        student_id INTEGER NOT NULL,
+        payment_date DATE NOT NULL,
+        amount DECIMAL(10,2) NOT NULL,
+        currency TEXT NOT NULL,
+        payment_method TEXT NOT NULL,
+        receipt_number TEXT,
+        sessions_covered TEXT,
+        payment_status TEXT DEFAULT 'Paid',
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS events (
+        id SERIAL PRIMARY KEY,
+        event_name TEXT NOT NULL,
+        event_description TEXT,
+        event_date DATE NOT NULL,
+        event_time TIME NOT NULL,
+        event_duration TEXT,
+        target_audience TEXT DEFAULT 'All',
+        specific_grades TEXT,
+        class_link TEXT,
+        max_participants INTEGER,
+        current_participants INTEGER DEFAULT 0,
+        status TEXT DEFAULT 'Active',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS event_registrations (
+        id SERIAL PRIMARY KEY,
+        event_id INTEGER NOT NULL,
+        student_id INTEGER NOT NULL,
+        registration_method TEXT DEFAULT 'Parent',
+        attendance TEXT DEFAULT 'Pending',
+        registered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+        FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+        UNIQUE(event_id, student_id)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_log (
+        id SERIAL PRIMARY KEY,
+        recipient_name TEXT NOT NULL,
+        recipient_email TEXT NOT NULL,
+        email_type TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        status TEXT NOT NULL,
+        sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS demo_leads (
+        id SERIAL PRIMARY KEY,
+        child_name TEXT NOT NULL,
+        child_grade TEXT,
+        parent_name TEXT NOT NULL,
+        parent_email TEXT NOT NULL,
+        phone TEXT,
+        program_interest TEXT,
+        demo_date DATE,
+        demo_time TIME,
+        student_timezone TEXT DEFAULT 'Asia/Kolkata',
+        parent_timezone TEXT DEFAULT 'Asia/Kolkata',
+        source TEXT,
+        notes TEXT,
+        status TEXT DEFAULT 'Scheduled',
+        converted_student_id INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS parent_credentials (
+        id SERIAL PRIMARY KEY,
+        parent_email TEXT UNIQUE NOT NULL,
+        password TEXT,
+        otp TEXT,
+        otp_expiry TIMESTAMP,
+        otp_attempts INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_login TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS class_feedback (
+        id SERIAL PRIMARY KEY,
+        session_id INTEGER NOT NULL,
+        student_id INTEGER NOT NULL,
+        rating INTEGER CHECK (rating >= 1 AND rating <= 5),
+        feedback_text TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+        FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+        UNIQUE(session_id, student_id)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS student_badges (
+        id SERIAL PRIMARY KEY,
+        student_id INTEGER NOT NULL,
+        badge_type TEXT NOT NULL,
+        badge_name TEXT NOT NULL,
+        badge_description TEXT,
+        earned_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS payment_renewals (
+        id SERIAL PRIMARY KEY,
+        student_id INTEGER NOT NULL,
+        renewal_date DATE NOT NULL,
+        amount DECIMAL(10,2) NOT NULL,
+        currency TEXT NOT NULL,
+        sessions_added INTEGER NOT NULL,
+        payment_method TEXT,
+        notes TEXT,
+        status TEXT DEFAULT 'Paid',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS announcements (
+        id SERIAL PRIMARY KEY,
+        title TEXT NOT NULL,
+        content TEXT NOT NULL,
+        announcement_type TEXT DEFAULT 'General',
+        priority TEXT DEFAULT 'Normal',
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS student_certificates (
+        id SERIAL PRIMARY KEY,
+        student_id INTEGER NOT NULL,
+        certificate_type TEXT NOT NULL,
+        award_title TEXT NOT NULL,
+        month INTEGER NOT NULL,
+        year INTEGER NOT NULL,
+        issued_date DATE DEFAULT CURRENT_DATE,
+        description TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS monthly_assessments (
+        id SERIAL PRIMARY KEY,
+        student_id INTEGER NOT NULL,
+        month INTEGER NOT NULL,
+        year INTEGER NOT NULL,
+        skills TEXT,
+        certificate_title TEXT,
+        performance_summary TEXT,
+        areas_of_improvement TEXT,
+        teacher_comments TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS expenses (
+        id SERIAL PRIMARY KEY,
+        expense_date DATE NOT NULL,
+        category TEXT NOT NULL,
+        description TEXT NOT NULL,
+        amount DECIMAL(10,2) NOT NULL,
+        currency TEXT DEFAULT 'INR',
+        payment_method TEXT,
+        receipt_url TEXT,
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_students_email ON students(parent_email)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_sessions_student ON sessions(student_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_sessions_group ON sessions(group_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_feedback_student ON class_feedback(student_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_badges_student ON student_badges(student_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_certificates_student ON student_certificates(student_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_students_birthday ON students(date_of_birth)');
+  }
+};
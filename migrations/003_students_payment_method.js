@@ -0,0 +1,7 @@
+// Formerly runMigrations() Migration 2. The column is part of 001_initial_schema on fresh databases.
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE students ADD COLUMN IF NOT EXISTS payment_method TEXT');
+  },
+  down: async () => {}
+};
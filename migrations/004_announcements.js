@@ -0,0 +1,17 @@
+// Formerly runMigrations() Migration 3. The table belongs to 001_initial_schema, so down() leaves it.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS announcements (
+        id SERIAL PRIMARY KEY,
+        title TEXT NOT NULL,
+        content TEXT NOT NULL,
+        announcement_type TEXT DEFAULT 'General',
+        priority TEXT DEFAULT 'Normal',
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+  down: async () => {}
+};
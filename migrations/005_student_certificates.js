@@ -0,0 +1,20 @@
+// Formerly runMigrations() Migration 4. The table belongs to 001_initial_schema, so down() leaves it.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS student_certificates (
+        id SERIAL PRIMARY KEY,
+        student_id INTEGER NOT NULL,
+        certificate_type TEXT NOT NULL,
+        award_title TEXT NOT NULL,
+        month INTEGER NOT NULL,
+        year INTEGER NOT NULL,
+        issued_date DATE DEFAULT CURRENT_DATE,
+        description TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+      )
+    `);
+  },
+  down: async () => {}
+};
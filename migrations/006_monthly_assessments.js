@@ -0,0 +1,21 @@
+// Formerly runMigrations() Migration 5. The table belongs to 001_initial_schema, so down() leaves it.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS monthly_assessments (
+        id SERIAL PRIMARY KEY,
+        student_id INTEGER NOT NULL,
+        month INTEGER NOT NULL,
+        year INTEGER NOT NULL,
+        skills TEXT,
+        certificate_title TEXT,
+        performance_summary TEXT,
+        areas_of_improvement TEXT,
+        teacher_comments TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+      )
+    `);
+  },
+  down: async () => {}
+};
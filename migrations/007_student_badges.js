@@ -0,0 +1,18 @@
+// Formerly runMigrations() Migration 6. The table belongs to 001_initial_schema, so down() leaves it.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS student_badges (
+        id SERIAL PRIMARY KEY,
+        student_id INTEGER NOT NULL,
+        badge_type TEXT NOT NULL,
+        badge_name TEXT NOT NULL,
+        badge_description TEXT,
+        earned_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_badges_student ON student_badges(student_id)');
+  },
+  down: async () => {}
+};
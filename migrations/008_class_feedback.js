@@ -0,0 +1,24 @@
+// Formerly runMigrations() Migration 7. The table belongs to 001_initial_schema; down() drops only the new indexes.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS class_feedback (
+        id SERIAL PRIMARY KEY,
+        session_id INTEGER NOT NULL,
+        student_id INTEGER NOT NULL,
+        rating INTEGER CHECK (rating >= 1 AND rating <= 5),
+        feedback_text TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+        FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_feedback_session ON class_feedback(session_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_feedback_student ON class_feedback(student_id)');
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_feedback_unique ON class_feedback(session_id, student_id)');
+  },
+  down: async (client) => {
+    await client.query('DROP INDEX IF EXISTS idx_feedback_session');
+    await client.query('DROP INDEX IF EXISTS idx_feedback_unique');
+  }
+};
@@ -0,0 +1,21 @@
+// Formerly runMigrations() Migration 8. The table belongs to 001_initial_schema, so down() leaves it.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS payment_renewals (
+        id SERIAL PRIMARY KEY,
+        student_id INTEGER NOT NULL,
+        renewal_date DATE NOT NULL,
+        amount DECIMAL(10,2) NOT NULL,
+        currency TEXT NOT NULL,
+        sessions_added INTEGER NOT NULL,
+        payment_method TEXT,
+        notes TEXT,
+        status TEXT DEFAULT 'Paid',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+      )
+    `);
+  },
+  down: async () => {}
+};
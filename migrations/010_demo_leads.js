@@ -0,0 +1,27 @@
+// Formerly runMigrations() Migration 9. The table belongs to 001_initial_schema, so down() leaves it.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS demo_leads (
+        id SERIAL PRIMARY KEY,
+        child_name TEXT NOT NULL,
+        child_grade TEXT,
+        parent_name TEXT NOT NULL,
+        parent_email TEXT NOT NULL,
+        phone TEXT,
+        program_interest TEXT,
+        demo_date DATE,
+        demo_time TIME,
+        student_timezone TEXT DEFAULT 'Asia/Kolkata',
+        parent_timezone TEXT DEFAULT 'Asia/Kolkata',
+        source TEXT,
+        notes TEXT,
+        status TEXT DEFAULT 'Scheduled',
+        converted_student_id INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+  down: async () => {}
+};
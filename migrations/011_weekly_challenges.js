@@ -0,0 +1,35 @@
+// Formerly runMigrations() Migration 10: weekly challenges and per-student assignments
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS weekly_challenges (
+        id SERIAL PRIMARY KEY,
+        title TEXT NOT NULL,
+        description TEXT,
+        challenge_type TEXT DEFAULT 'General',
+        points INTEGER DEFAULT 10,
+        week_start DATE NOT NULL,
+        week_end DATE NOT NULL,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS student_challenges (
+        id SERIAL PRIMARY KEY,
+        student_id INTEGER NOT NULL,
+        challenge_id INTEGER NOT NULL,
+        status TEXT DEFAULT 'Assigned',
+        completed_at TIMESTAMP,
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+        FOREIGN KEY (challenge_id) REFERENCES weekly_challenges(id) ON DELETE CASCADE
+      )
+    `);
+  },
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS student_challenges');
+    await client.query('DROP TABLE IF EXISTS weekly_challenges');
+  }
+};
@@ -0,0 +1,17 @@
+// Formerly runMigrations() Migration 11: parent expectations, renewal reminder state, class link, challenge badge
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE students ADD COLUMN IF NOT EXISTS parent_expectations TEXT');
+    await client.query(`ALTER TABLE weekly_challenges ADD COLUMN IF NOT EXISTS badge_reward TEXT DEFAULT '🎯 Challenge Champion'`);
+    await client.query('ALTER TABLE students ADD COLUMN IF NOT EXISTS renewal_reminder_sent BOOLEAN DEFAULT false');
+    await client.query('ALTER TABLE students ADD COLUMN IF NOT EXISTS last_reminder_remaining INTEGER');
+    await client.query('ALTER TABLE students ADD COLUMN IF NOT EXISTS class_link TEXT');
+  },
+  down: async (client) => {
+    await client.query('ALTER TABLE students DROP COLUMN IF EXISTS parent_expectations');
+    await client.query('ALTER TABLE weekly_challenges DROP COLUMN IF EXISTS badge_reward');
+    await client.query('ALTER TABLE students DROP COLUMN IF EXISTS renewal_reminder_sent');
+    await client.query('ALTER TABLE students DROP COLUMN IF EXISTS last_reminder_remaining');
+    await client.query('ALTER TABLE students DROP COLUMN IF EXISTS class_link');
+  }
+};
@@ -0,0 +1,20 @@
+// Formerly runMigrations() Migration 12: multiple uploaded files per session
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS session_materials (
+        id SERIAL PRIMARY KEY,
+        session_id INTEGER NOT NULL,
+        material_type TEXT NOT NULL,
+        file_name TEXT,
+        file_path TEXT NOT NULL,
+        file_size INTEGER,
+        uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+      )
+    `);
+  },
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS session_materials');
+  }
+};
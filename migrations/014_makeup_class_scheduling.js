@@ -0,0 +1,14 @@
+// Formerly runMigrations() Migration 13: track the session a makeup credit was scheduled into
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE makeup_classes ADD COLUMN IF NOT EXISTS scheduled_session_id INTEGER REFERENCES sessions(id)');
+    await client.query(`ALTER TABLE makeup_classes ADD COLUMN IF NOT EXISTS added_by TEXT DEFAULT 'system'`);
+    await client.query('ALTER TABLE makeup_classes ADD COLUMN IF NOT EXISTS scheduled_date DATE');
+    await client.query('ALTER TABLE makeup_classes ADD COLUMN IF NOT EXISTS scheduled_time TIME');
+  },
+  down: async (client) => {
+    for (const column of ['scheduled_session_id', 'added_by', 'scheduled_date', 'scheduled_time']) {
+      await client.query(`ALTER TABLE makeup_classes DROP COLUMN IF EXISTS ${column}`);
+    }
+  }
+};
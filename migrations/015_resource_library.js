@@ -0,0 +1,27 @@
+// Formerly runMigrations() Migration 14: shared resource library
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS resource_library (
+        id SERIAL PRIMARY KEY,
+        title TEXT NOT NULL,
+        description TEXT,
+        category TEXT NOT NULL,
+        resource_type TEXT NOT NULL,
+        file_path TEXT,
+        external_link TEXT,
+        thumbnail_url TEXT,
+        grade_level TEXT,
+        tags TEXT,
+        is_featured BOOLEAN DEFAULT false,
+        view_count INTEGER DEFAULT 0,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS resource_library');
+  }
+};
@@ -0,0 +1,9 @@
+// Formerly runMigrations() Migration 15
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE announcements ADD COLUMN IF NOT EXISTS image_url TEXT');
+  },
+  down: async (client) => {
+    await client.query('ALTER TABLE announcements DROP COLUMN IF EXISTS image_url');
+  }
+};
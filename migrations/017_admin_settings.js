@@ -0,0 +1,23 @@
+// Formerly runMigrations() Migration 16: key/value admin settings (bio, name, title) with defaults
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS admin_settings (
+        id SERIAL PRIMARY KEY,
+        setting_key TEXT UNIQUE NOT NULL,
+        setting_value TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    const defaults = [['admin_bio', ''], ['admin_name', 'Aaliya'], ['admin_title', 'Founder & Lead Instructor']];
+    for (const [key, value] of defaults) {
+      await client.query(
+        'INSERT INTO admin_settings (setting_key, setting_value) VALUES ($1, $2) ON CONFLICT (setting_key) DO NOTHING',
+        [key, value]
+      );
+    }
+  },
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS admin_settings');
+  }
+};
@@ -0,0 +1,11 @@
+// Formerly runMigrations() Migration 17: demo assessments alongside monthly ones
+module.exports = {
+  up: async (client) => {
+    await client.query(`ALTER TABLE monthly_assessments ADD COLUMN IF NOT EXISTS assessment_type TEXT DEFAULT 'monthly'`);
+    await client.query('ALTER TABLE monthly_assessments ADD COLUMN IF NOT EXISTS demo_lead_id INTEGER REFERENCES demo_leads(id) ON DELETE SET NULL');
+  },
+  down: async (client) => {
+    await client.query('ALTER TABLE monthly_assessments DROP COLUMN IF EXISTS assessment_type');
+    await client.query('ALTER TABLE monthly_assessments DROP COLUMN IF EXISTS demo_lead_id');
+  }
+};
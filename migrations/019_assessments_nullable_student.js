@@ -0,0 +1,6 @@
+// Formerly runMigrations() Migration 18: demo assessments have no student. No down(): demo rows would violate NOT NULL.
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE monthly_assessments ALTER COLUMN student_id DROP NOT NULL');
+  }
+};
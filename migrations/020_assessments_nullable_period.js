@@ -0,0 +1,7 @@
+// Formerly runMigrations() Migration 19: demo assessments have no month/year. No down(): demo rows would violate NOT NULL.
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE monthly_assessments ALTER COLUMN month DROP NOT NULL');
+    await client.query('ALTER TABLE monthly_assessments ALTER COLUMN year DROP NOT NULL');
+  }
+};
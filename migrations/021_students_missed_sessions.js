@@ -0,0 +1,9 @@
+// Formerly runMigrations() Migration 20
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE students ADD COLUMN IF NOT EXISTS missed_sessions INTEGER DEFAULT 0');
+  },
+  down: async (client) => {
+    await client.query('ALTER TABLE students DROP COLUMN IF EXISTS missed_sessions');
+  }
+};
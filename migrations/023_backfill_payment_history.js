@@ -0,0 +1,20 @@
+// Formerly runMigrations() Migration 22: copy enrollment payments into payment_history when it is still empty
+module.exports = {
+  baseline: true,
+  up: async (client) => {
+    const existingPayments = await client.query('SELECT COUNT(*) as count FROM payment_history');
+    if (parseInt(existingPayments.rows[0].count) > 0) return;
+
+    const students = await client.query(`
+      SELECT id, name, fees_paid, currency, total_sessions, created_at
+      FROM students
+      WHERE fees_paid > 0
+    `);
+    for (const student of students.rows) {
+      await client.query(`
+        INSERT INTO payment_history (student_id, payment_date, amount, currency, payment_method, sessions_covered, notes, payment_status)
+        VALUES ($1, $2, $3, $4, 'Bank Transfer', $5, 'Initial enrollment payment', 'completed')
+      `, [student.id, student.created_at || new Date(), student.fees_paid, student.currency || 'INR', student.total_sessions || '']);
+    }
+  }
+};
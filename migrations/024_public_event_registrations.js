@@ -0,0 +1,18 @@
+// Formerly runMigrations() Migration 23: registrations from outside the portal (Instagram/external) have no student.
+// down() drops the added columns; student_id stays nullable because public registrations have none.
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE event_registrations ALTER COLUMN student_id DROP NOT NULL');
+    await client.query('ALTER TABLE event_registrations ADD COLUMN IF NOT EXISTS parent_name TEXT');
+    await client.query('ALTER TABLE event_registrations ADD COLUMN IF NOT EXISTS child_name TEXT');
+    await client.query('ALTER TABLE event_registrations ADD COLUMN IF NOT EXISTS child_age TEXT');
+    await client.query('ALTER TABLE event_registrations ADD COLUMN IF NOT EXISTS email TEXT');
+    await client.query('ALTER TABLE event_registrations ADD COLUMN IF NOT EXISTS phone TEXT');
+    await client.query(`ALTER TABLE event_registrations ADD COLUMN IF NOT EXISTS registration_source TEXT DEFAULT 'internal'`);
+  },
+  down: async (client) => {
+    for (const column of ['parent_name', 'child_name', 'child_age', 'email', 'phone', 'registration_source']) {
+      await client.query(`ALTER TABLE event_registrations DROP COLUMN IF EXISTS ${column}`);
+    }
+  }
+};
@@ -0,0 +1,9 @@
+// Formerly runMigrations() Migration 24: participation certificates for event registrations
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE event_registrations ADD COLUMN IF NOT EXISTS certificate_sent BOOLEAN DEFAULT FALSE');
+  },
+  down: async (client) => {
+    await client.query('ALTER TABLE event_registrations DROP COLUMN IF EXISTS certificate_sent');
+  }
+};
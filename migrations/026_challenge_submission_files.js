@@ -0,0 +1,11 @@
+// Formerly runMigrations() Migration 25: file uploads for challenge submissions
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE student_challenges ADD COLUMN IF NOT EXISTS submission_file_path TEXT');
+    await client.query('ALTER TABLE student_challenges ADD COLUMN IF NOT EXISTS submission_file_name TEXT');
+  },
+  down: async (client) => {
+    await client.query('ALTER TABLE student_challenges DROP COLUMN IF EXISTS submission_file_path');
+    await client.query('ALTER TABLE student_challenges DROP COLUMN IF EXISTS submission_file_name');
+  }
+};
@@ -0,0 +1,9 @@
+// Formerly runMigrations() Migration 26: one assignment per student and challenge
+module.exports = {
+  up: async (client) => {
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS student_challenges_student_challenge_unique ON student_challenges (student_id, challenge_id)');
+  },
+  down: async (client) => {
+    await client.query('DROP INDEX IF EXISTS student_challenges_student_challenge_unique');
+  }
+};
@@ -0,0 +1,9 @@
+// Formerly runMigrations() Migration 27: keep the full email content in email_log
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE email_log ADD COLUMN IF NOT EXISTS email_body TEXT');
+  },
+  down: async (client) => {
+    await client.query('ALTER TABLE email_log DROP COLUMN IF EXISTS email_body');
+  }
+};
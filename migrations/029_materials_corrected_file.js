@@ -0,0 +1,9 @@
+// Formerly runMigrations() Migration 28: annotated homework returned to the student
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE materials ADD COLUMN IF NOT EXISTS corrected_file_path TEXT');
+  },
+  down: async (client) => {
+    await client.query('ALTER TABLE materials DROP COLUMN IF EXISTS corrected_file_path');
+  }
+};
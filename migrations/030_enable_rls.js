@@ -0,0 +1,15 @@
+// Formerly runMigrations() Migration 29: enable Row Level Security (Supabase security warning).
+// Superseded by 049_harden_rls; no down().
+const { tableExists } = require('../migrate');
+
+const TABLES = ['groups', 'group_timings', 'students', 'sessions', 'session_attendance', 'materials', 'events', 'event_registrations', 'email_log', 'announcements', 'parent_credentials', 'class_feedback', 'student_badges', 'monthly_assessments', 'student_certificates', 'payment_history', 'payment_renewals', 'makeup_classes', 'demo_leads', 'weekly_challenges', 'student_challenges', 'session_materials', 'admin_settings', 'expenses', 'resource_library', 'class_points'];
+
+module.exports = {
+  up: async (client) => {
+    for (const table of TABLES) {
+      if (!(await tableExists(client, table))) continue;
+      await client.query(`ALTER TABLE ${table} ENABLE ROW LEVEL SECURITY`);
+      await client.query(`DO $$ BEGIN CREATE POLICY "Allow all for service role" ON ${table} FOR ALL USING (true) WITH CHECK (true); EXCEPTION WHEN duplicate_object THEN NULL; END $$`);
+    }
+  }
+};
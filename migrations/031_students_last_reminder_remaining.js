@@ -0,0 +1,7 @@
+// Formerly runMigrations() Migration 30. The column belongs to 012_student_reminder_columns, so down() leaves it.
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE students ADD COLUMN IF NOT EXISTS last_reminder_remaining INTEGER');
+  },
+  down: async () => {}
+};
@@ -0,0 +1,24 @@
+// Formerly runMigrations() Migration 31: indexes on frequently queried columns
+const INDEXES = [
+  ['idx_session_attendance_student_id', 'session_attendance(student_id)'],
+  ['idx_session_attendance_session_id', 'session_attendance(session_id)'],
+  ['idx_students_group_id', 'students(group_id)'],
+  ['idx_students_parent_email', 'students(parent_email)'],
+  ['idx_payment_history_student_id', 'payment_history(student_id)'],
+  ['idx_sessions_student_id', 'sessions(student_id)'],
+  ['idx_sessions_group_id', 'sessions(group_id)'],
+  ['idx_sessions_session_date', 'sessions(session_date)']
+];
+
+module.exports = {
+  up: async (client) => {
+    for (const [name, target] of INDEXES) {
+      await client.query(`CREATE INDEX IF NOT EXISTS ${name} ON ${target}`);
+    }
+  },
+  down: async (client) => {
+    for (const [name] of INDEXES) {
+      await client.query(`DROP INDEX IF EXISTS ${name}`);
+    }
+  }
+};
@@ -0,0 +1,9 @@
+// Formerly runMigrations() Migration 32
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS notes TEXT');
+  },
+  down: async (client) => {
+    await client.query('ALTER TABLE sessions DROP COLUMN IF EXISTS notes');
+  }
+};
@@ -0,0 +1,28 @@
+// Formerly runMigrations() Migration 33: remove payment_history duplicates written by the old renewal code
+// and recalculate fees_paid for the affected students
+module.exports = {
+  baseline: true,
+  up: async (client) => {
+    const dupes = await client.query(`
+      DELETE FROM payment_history WHERE id IN (
+        SELECT ph.id FROM payment_history ph
+        INNER JOIN payment_renewals pr
+          ON ph.student_id = pr.student_id
+          AND ph.amount = pr.amount
+          AND ph.payment_date = pr.renewal_date
+          AND ph.notes LIKE 'Renewal%'
+      ) RETURNING student_id, amount
+    `);
+    const affectedStudents = [...new Set(dupes.rows.map(r => r.student_id))];
+    for (const sid of affectedStudents) {
+      await client.query(`
+        UPDATE students SET fees_paid = COALESCE((
+          SELECT SUM(amount) FROM payment_history WHERE student_id = $1
+        ), 0) + COALESCE((
+          SELECT SUM(amount) FROM payment_renewals WHERE student_id = $1
+        ), 0)
+        WHERE id = $1
+      `, [sid]);
+    }
+  }
+};
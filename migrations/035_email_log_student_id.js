@@ -0,0 +1,9 @@
+// Formerly runMigrations() Migration 34
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE email_log ADD COLUMN IF NOT EXISTS student_id INTEGER');
+  },
+  down: async (client) => {
+    await client.query('ALTER TABLE email_log DROP COLUMN IF EXISTS student_id');
+  }
+};
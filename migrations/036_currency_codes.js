@@ -0,0 +1,12 @@
+// Formerly runMigrations() Migration 35: store currency codes instead of symbols
+module.exports = {
+  baseline: true,
+  up: async (client) => {
+    const currencyMap = [['₹', 'INR'], ['$', 'USD'], ['£', 'GBP'], ['€', 'EUR']];
+    for (const [symbol, code] of currencyMap) {
+      await client.query('UPDATE students SET currency = $2 WHERE currency = $1', [symbol, code]);
+      await client.query('UPDATE payment_history SET currency = $2 WHERE currency = $1', [symbol, code]);
+      await client.query('UPDATE payment_renewals SET currency = $2 WHERE currency = $1', [symbol, code]);
+    }
+  }
+};
@@ -0,0 +1,13 @@
+// Formerly runMigrations() Migration 36: parent/student timezones for localized demo and portal views.
+// The columns belong to 001_initial_schema on fresh databases, so down() leaves them.
+module.exports = {
+  up: async (client) => {
+    await client.query(`ALTER TABLE students ADD COLUMN IF NOT EXISTS parent_timezone TEXT DEFAULT 'Asia/Kolkata'`);
+    await client.query(`UPDATE students SET parent_timezone = COALESCE(parent_timezone, timezone, 'Asia/Kolkata') WHERE parent_timezone IS NULL`);
+    await client.query(`ALTER TABLE demo_leads ADD COLUMN IF NOT EXISTS student_timezone TEXT DEFAULT 'Asia/Kolkata'`);
+    await client.query(`ALTER TABLE demo_leads ADD COLUMN IF NOT EXISTS parent_timezone TEXT DEFAULT 'Asia/Kolkata'`);
+    await client.query(`UPDATE demo_leads SET student_timezone = COALESCE(student_timezone, 'Asia/Kolkata') WHERE student_timezone IS NULL`);
+    await client.query(`UPDATE demo_leads SET parent_timezone = COALESCE(parent_timezone, student_timezone, 'Asia/Kolkata') WHERE parent_timezone IS NULL`);
+  },
+  down: async () => {}
+};
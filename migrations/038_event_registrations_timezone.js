@@ -0,0 +1,10 @@
+// Formerly runMigrations() Migration 37: localized public event emails and reminders
+module.exports = {
+  up: async (client) => {
+    await client.query(`ALTER TABLE event_registrations ADD COLUMN IF NOT EXISTS parent_timezone TEXT DEFAULT 'Asia/Kolkata'`);
+    await client.query(`UPDATE event_registrations SET parent_timezone = 'Asia/Kolkata' WHERE parent_timezone IS NULL`);
+  },
+  down: async (client) => {
+    await client.query('ALTER TABLE event_registrations DROP COLUMN IF EXISTS parent_timezone');
+  }
+};
@@ -0,0 +1,22 @@
+// Formerly runMigrations() Migration 38: composite indexes for upcoming/past classes and the parent portal
+const INDEXES = [
+  ['idx_sessions_type_status_date_time', 'sessions(session_type, status, session_date, session_time)'],
+  ['idx_sessions_student_type_date_time', 'sessions(student_id, session_type, session_date, session_time)'],
+  ['idx_sessions_group_type_date_time', 'sessions(group_id, session_type, session_date, session_time)'],
+  ['idx_session_attendance_student_session', 'session_attendance(student_id, session_id)'],
+  ['idx_events_status_date_time', 'events(status, event_date, event_time)'],
+  ['idx_demo_leads_status_date_time', 'demo_leads(status, demo_date, demo_time)']
+];
+
+module.exports = {
+  up: async (client) => {
+    for (const [name, target] of INDEXES) {
+      await client.query(`CREATE INDEX IF NOT EXISTS ${name} ON ${target}`);
+    }
+  },
+  down: async (client) => {
+    for (const [name] of INDEXES) {
+      await client.query(`DROP INDEX IF EXISTS ${name}`);
+    }
+  }
+};
@@ -0,0 +1,27 @@
+// Formerly runMigrations() Migration 39: parent timezone on credentials, backfilled from their newest student
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE parent_credentials ADD COLUMN IF NOT EXISTS timezone TEXT');
+    await client.query(`
+      UPDATE parent_credentials pc
+      SET timezone = s.parent_timezone
+      FROM (
+        SELECT DISTINCT ON (LOWER(parent_email)) LOWER(parent_email) AS email_key, parent_timezone
+        FROM students
+        WHERE parent_email IS NOT NULL
+          AND parent_timezone IS NOT NULL
+          AND parent_timezone <> ''
+        ORDER BY LOWER(parent_email), created_at DESC
+      ) s
+      WHERE LOWER(pc.parent_email) = s.email_key
+        AND (
+          pc.timezone IS NULL
+          OR pc.timezone = ''
+          OR pc.timezone = 'Asia/Kolkata'
+        )
+    `);
+  },
+  down: async (client) => {
+    await client.query('ALTER TABLE parent_credentials DROP COLUMN IF EXISTS timezone');
+  }
+};
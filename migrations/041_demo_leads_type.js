@@ -0,0 +1,10 @@
+// Formerly the first runMigrations() "Migration 40": lead type, so summer camp sign-ups share demo_leads
+module.exports = {
+  up: async (client) => {
+    await client.query(`ALTER TABLE demo_leads ADD COLUMN IF NOT EXISTS type TEXT DEFAULT 'demo'`);
+    await client.query(`UPDATE demo_leads SET type = 'demo' WHERE type IS NULL`);
+  },
+  down: async (client) => {
+    await client.query('ALTER TABLE demo_leads DROP COLUMN IF EXISTS type');
+  }
+};
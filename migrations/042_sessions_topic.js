@@ -0,0 +1,9 @@
+// Formerly the second runMigrations() "Migration 40"
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS session_topic TEXT');
+  },
+  down: async (client) => {
+    await client.query('ALTER TABLE sessions DROP COLUMN IF EXISTS session_topic');
+  }
+};
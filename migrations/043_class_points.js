@@ -0,0 +1,21 @@
+// Formerly runMigrations() Migration 41: live in-class point tracking
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS class_points (
+        id SERIAL PRIMARY KEY,
+        student_id INTEGER NOT NULL,
+        session_id INTEGER,
+        points INTEGER NOT NULL DEFAULT 1,
+        reason TEXT DEFAULT 'Good work!',
+        awarded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_class_points_student ON class_points(student_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_class_points_session ON class_points(session_id)');
+  },
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS class_points');
+  }
+};
@@ -0,0 +1,15 @@
+// Formerly runMigrations() Migration 42: class_link replaced zoom_link in older schemas.
+// The column belongs to 001_initial_schema on fresh databases, so down() leaves it.
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS class_link TEXT');
+    const zoomLink = await client.query(`
+      SELECT 1 FROM information_schema.columns
+      WHERE table_schema = 'public' AND table_name = 'sessions' AND column_name = 'zoom_link'
+    `);
+    if (zoomLink.rows.length > 0) {
+      await client.query('UPDATE sessions SET class_link = zoom_link WHERE class_link IS NULL AND zoom_link IS NOT NULL');
+    }
+  },
+  down: async () => {}
+};
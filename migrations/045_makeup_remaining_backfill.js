@@ -0,0 +1,21 @@
+// Formerly runMigrations() Migration 43: students whose makeup classes were scheduled before the fix never had
+// remaining_sessions incremented for them. The old block re-ran on every boot; as a tracked migration it runs once.
+module.exports = {
+  baseline: true,
+  up: async (client) => {
+    await client.query(`
+      UPDATE students s
+      SET remaining_sessions = remaining_sessions + sub.makeup_pending
+      FROM (
+        SELECT sess.student_id, COUNT(*) AS makeup_pending
+        FROM sessions sess
+        INNER JOIN makeup_classes mc ON mc.scheduled_session_id = sess.id AND mc.status = 'Scheduled'
+        WHERE sess.notes = 'Makeup Class'
+          AND sess.status IN ('Scheduled', 'Pending')
+          AND sess.session_date >= CURRENT_DATE
+        GROUP BY sess.student_id
+      ) sub
+      WHERE s.id = sub.student_id
+    `);
+  }
+};
@@ -0,0 +1,19 @@
+// Formerly runMigrations() Migration 44A: short birthday card links
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS birthday_cards (
+        id SERIAL PRIMARY KEY,
+        code TEXT UNIQUE NOT NULL,
+        student_name TEXT NOT NULL,
+        age INTEGER NOT NULL,
+        wish_message TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_birthday_cards_code ON birthday_cards(code)');
+  },
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS birthday_cards');
+  }
+};
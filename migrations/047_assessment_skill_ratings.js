@@ -0,0 +1,11 @@
+// Formerly runMigrations() Migration 44
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE monthly_assessments ADD COLUMN IF NOT EXISTS skill_ratings TEXT');
+    await client.query('ALTER TABLE monthly_assessments ADD COLUMN IF NOT EXISTS deferred BOOLEAN DEFAULT FALSE');
+  },
+  down: async (client) => {
+    await client.query('ALTER TABLE monthly_assessments DROP COLUMN IF EXISTS skill_ratings');
+    await client.query('ALTER TABLE monthly_assessments DROP COLUMN IF EXISTS deferred');
+  }
+};
@@ -0,0 +1,9 @@
+// Formerly runMigrations() Migration 45: when a parent submitted the challenge
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE student_challenges ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP');
+  },
+  down: async (client) => {
+    await client.query('ALTER TABLE student_challenges DROP COLUMN IF EXISTS submitted_at');
+  }
+};
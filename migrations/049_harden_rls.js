@@ -0,0 +1,16 @@
+// Formerly runMigrations() Migration 46: replace the allow-all policies from 030_enable_rls with service-role-only
+// ones (Supabase Security Advisor). No down().
+const { tableExists, enableRowLevelSecurity } = require('../migrate');
+
+const TABLES = ['groups', 'group_timings', 'students', 'sessions', 'session_attendance', 'materials', 'events', 'event_registrations', 'email_log', 'announcements', 'parent_credentials', 'class_feedback', 'student_badges', 'monthly_assessments', 'student_certificates', 'payment_history', 'payment_renewals', 'makeup_classes', 'demo_leads', 'weekly_challenges', 'student_challenges', 'session_materials', 'admin_settings', 'expenses', 'resource_library', 'class_points'];
+
+module.exports = {
+  up: async (client) => {
+    for (const table of TABLES) {
+      if (!(await tableExists(client, table))) continue;
+      await client.query(`DROP POLICY IF EXISTS "Allow all for service role" ON ${table}`);
+      await client.query(`DROP POLICY IF EXISTS "Service role full access" ON ${table}`);
+      await enableRowLevelSecurity(client, table);
+    }
+  }
+};
@@ -0,0 +1,9 @@
+// Formerly runMigrations() Migration 47
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE students ADD COLUMN IF NOT EXISTS is_summer_camp BOOLEAN DEFAULT false');
+  },
+  down: async (client) => {
+    await client.query('ALTER TABLE students DROP COLUMN IF EXISTS is_summer_camp');
+  }
+};
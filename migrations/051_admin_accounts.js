@@ -0,0 +1,53 @@
+// Formerly runMigrations() Migration 48: admin accounts with hashed passwords and server-side sessions.
+// Seeds the first admin from ADMIN_PASSWORD; afterwards the password lives (hashed) in the database only.
+const bcrypt = require('bcrypt');
+const { enableRowLevelSecurity } = require('../migrate');
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS admin_users (
+        id SERIAL PRIMARY KEY,
+        username TEXT UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        display_name TEXT,
+        is_active BOOLEAN DEFAULT true,
+        last_login TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS admin_sessions (
+        id SERIAL PRIMARY KEY,
+        admin_user_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+        token_hash TEXT UNIQUE NOT NULL,
+        user_agent TEXT,
+        ip_address TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_admin_sessions_user ON admin_sessions(admin_user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_admin_sessions_expires ON admin_sessions(expires_at)');
+    await enableRowLevelSecurity(client, 'admin_users');
+    await enableRowLevelSecurity(client, 'admin_sessions');
+
+    const existingAdmins = await client.query('SELECT COUNT(*) AS count FROM admin_users');
+    if (parseInt(existingAdmins.rows[0].count) === 0 && process.env.ADMIN_PASSWORD) {
+      const seedName = (await client.query(`SELECT setting_value FROM admin_settings WHERE setting_key = 'admin_name'`)).rows[0];
+      const passwordHash = await bcrypt.hash(process.env.ADMIN_PASSWORD, 10);
+      await client.query(
+        'INSERT INTO admin_users (username, password_hash, display_name) VALUES ($1, $2, $3)',
+        [(process.env.ADMIN_USERNAME || 'admin').toLowerCase(), passwordHash, seedName?.setting_value || 'Admin']
+      );
+      console.log('✅ Created admin account from ADMIN_PASSWORD');
+    }
+  },
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS admin_sessions');
+    await client.query('DROP TABLE IF EXISTS admin_users');
+  }
+};
@@ -0,0 +1,9 @@
+// Formerly runMigrations() Migration 49: bumped to sign out all of a parent's devices
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE parent_credentials ADD COLUMN IF NOT EXISTS session_version INTEGER DEFAULT 0');
+  },
+  down: async (client) => {
+    await client.query('ALTER TABLE parent_credentials DROP COLUMN IF EXISTS session_version');
+  }
+};
@@ -0,0 +1,24 @@
+// Formerly runMigrations() Migration 50: staff roles on admin accounts and an assigned teacher on students,
+// groups and sessions
+const TEACHER_TABLES = ['students', 'groups', 'sessions'];
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'owner'`);
+    await client.query('ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS email TEXT');
+    await client.query('ALTER TABLE admin_users DROP CONSTRAINT IF EXISTS admin_users_role_check');
+    await client.query(`ALTER TABLE admin_users ADD CONSTRAINT admin_users_role_check CHECK (role IN ('owner', 'teacher', 'accountant'))`);
+    for (const table of TEACHER_TABLES) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS teacher_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL`);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_${table}_teacher ON ${table}(teacher_id)`);
+    }
+  },
+  down: async (client) => {
+    for (const table of TEACHER_TABLES) {
+      await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS teacher_id`);
+    }
+    await client.query('ALTER TABLE admin_users DROP CONSTRAINT IF EXISTS admin_users_role_check');
+    await client.query('ALTER TABLE admin_users DROP COLUMN IF EXISTS role');
+    await client.query('ALTER TABLE admin_users DROP COLUMN IF EXISTS email');
+  }
+};
@@ -0,0 +1,47 @@
+// Formerly runMigrations() Migration 51: append-only audit log of data-changing admin and parent actions
+const { enableRowLevelSecurity } = require('../migrate');
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        actor_type TEXT NOT NULL,
+        actor_id TEXT,
+        actor_label TEXT,
+        method TEXT NOT NULL,
+        route TEXT NOT NULL,
+        entity_type TEXT,
+        entity_id TEXT,
+        student_id INTEGER,
+        before_data JSONB,
+        after_data JSONB,
+        request_body JSONB,
+        status_code INTEGER,
+        ip_address TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_student ON audit_log(student_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_type, actor_id)');
+    // Append-only: the database itself refuses edits and deletes
+    await client.query(`
+      CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_log is append-only';
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query('DROP TRIGGER IF EXISTS audit_log_no_change ON audit_log');
+    await client.query('CREATE TRIGGER audit_log_no_change BEFORE UPDATE OR DELETE ON audit_log FOR EACH ROW EXECUTE FUNCTION audit_log_append_only()');
+    await client.query('DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log');
+    await client.query('CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only()');
+    await enableRowLevelSecurity(client, 'audit_log');
+  },
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS audit_log');
+    await client.query('DROP FUNCTION IF EXISTS audit_log_append_only()');
+  }
+};
@@ -0,0 +1,37 @@
+// Outgoing email is queued here and delivered by the worker in server.js, which retries with backoff and
+// dead-letters (status 'failed') after max_attempts
+const { enableRowLevelSecurity } = require('../migrate');
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_queue (
+        id SERIAL PRIMARY KEY,
+        recipient_email TEXT NOT NULL,
+        recipient_name TEXT,
+        subject TEXT NOT NULL,
+        html TEXT NOT NULL,
+        email_type TEXT,
+        skip_push BOOLEAN DEFAULT false,
+        status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sending', 'sent', 'failed', 'cancelled')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 6,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP,
+        locked_at TIMESTAMP,
+        last_error TEXT,
+        transport TEXT,
+        provider_message_id TEXT,
+        email_log_id INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        sent_at TIMESTAMP
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_email_queue_due ON email_queue(status, next_attempt_at)');
+    await enableRowLevelSecurity(client, 'email_queue');
+  },
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS email_queue');
+  }
+};
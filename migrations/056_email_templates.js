@@ -0,0 +1,28 @@
+// Versioned email template bodies edited from the admin panel. Version 1 of each template is the built-in
+// design from server.js (is_default), refreshed on boot; at most one version per template is active.
+const { enableRowLevelSecurity } = require('../migrate');
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_templates (
+        id SERIAL PRIMARY KEY,
+        template_key TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        html TEXT NOT NULL,
+        is_default BOOLEAN NOT NULL DEFAULT false,
+        is_active BOOLEAN NOT NULL DEFAULT false,
+        notes TEXT,
+        created_by TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (template_key, version)
+      )
+    `);
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_email_templates_active ON email_templates(template_key) WHERE is_active');
+    await enableRowLevelSecurity(client, 'email_templates');
+  },
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS email_templates');
+  }
+};
@@ -0,0 +1,24 @@
+// Per-parent notification preferences: which categories arrive by email / push, and quiet hours.
+// No row means everything is on and there are no quiet hours.
+const { enableRowLevelSecurity } = require('../migrate');
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS parent_notification_preferences (
+        parent_email TEXT PRIMARY KEY,
+        channels JSONB NOT NULL DEFAULT '{}'::jsonb,
+        quiet_hours_start TIME,
+        quiet_hours_end TIME,
+        timezone TEXT,
+        updated_via TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await enableRowLevelSecurity(client, 'parent_notification_preferences');
+  },
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS parent_notification_preferences');
+  }
+};
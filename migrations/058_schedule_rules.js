@@ -0,0 +1,34 @@
+// Weekly recurrence rules for private students. Sessions generated from a rule point back at it; rule_exception
+// marks one that was moved on its own ("only this one") so later rule edits leave it alone.
+const { enableRowLevelSecurity } = require('../migrate');
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schedule_rules (
+        id SERIAL PRIMARY KEY,
+        student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+        slots JSONB NOT NULL,
+        timezone TEXT NOT NULL DEFAULT 'Asia/Kolkata',
+        start_date DATE NOT NULL,
+        end_date DATE,
+        max_sessions INTEGER,
+        skip_dates DATE[] NOT NULL DEFAULT '{}',
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_schedule_rules_student ON schedule_rules(student_id)');
+    await client.query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS schedule_rule_id INTEGER REFERENCES schedule_rules(id) ON DELETE SET NULL');
+    await client.query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS rule_exception BOOLEAN DEFAULT false');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_sessions_schedule_rule ON sessions(schedule_rule_id)');
+    await enableRowLevelSecurity(client, 'schedule_rules');
+  },
+  down: async (client) => {
+    await client.query('ALTER TABLE sessions DROP COLUMN IF EXISTS rule_exception');
+    await client.query('ALTER TABLE sessions DROP COLUMN IF EXISTS schedule_rule_id');
+    await client.query('DROP TABLE IF EXISTS schedule_rules');
+  }
+};
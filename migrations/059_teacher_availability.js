@@ -0,0 +1,38 @@
+// Weekly availability windows and one-off blocked time per teacher, read by the scheduling conflict checker.
+// teacher_id NULL is the academy's own calendar: classes with no assigned teacher, and demo classes.
+const { enableRowLevelSecurity } = require('../migrate');
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS availability_windows (
+        id SERIAL PRIMARY KEY,
+        teacher_id INTEGER REFERENCES admin_users(id) ON DELETE CASCADE,
+        weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+        start_time TIME NOT NULL,
+        end_time TIME NOT NULL CHECK (end_time > start_time),
+        timezone TEXT NOT NULL DEFAULT 'Asia/Kolkata',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_availability_windows_teacher ON availability_windows(teacher_id)');
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS blocked_times (
+        id SERIAL PRIMARY KEY,
+        teacher_id INTEGER REFERENCES admin_users(id) ON DELETE CASCADE,
+        starts_at TIMESTAMP NOT NULL,
+        ends_at TIMESTAMP NOT NULL CHECK (ends_at > starts_at),
+        reason TEXT,
+        created_by TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_blocked_times_range ON blocked_times(starts_at, ends_at)');
+    await enableRowLevelSecurity(client, 'availability_windows');
+    await enableRowLevelSecurity(client, 'blocked_times');
+  },
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS blocked_times');
+    await client.query('DROP TABLE IF EXISTS availability_windows');
+  }
+};
@@ -0,0 +1,42 @@
+// Academy holidays and closures (dates are local to the closure's timezone, end date inclusive), and the record of
+// which sessions each applied closure moved where.
+const { enableRowLevelSecurity } = require('../migrate');
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS closures (
+        id SERIAL PRIMARY KEY,
+        title TEXT NOT NULL,
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL CHECK (end_date >= start_date),
+        timezone TEXT NOT NULL DEFAULT 'Asia/Kolkata',
+        notes TEXT,
+        applied_at TIMESTAMP,
+        applied_by TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_closures_dates ON closures(start_date, end_date)');
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS closure_shifts (
+        id SERIAL PRIMARY KEY,
+        closure_id INTEGER NOT NULL REFERENCES closures(id) ON DELETE CASCADE,
+        session_id INTEGER REFERENCES sessions(id) ON DELETE SET NULL,
+        old_date DATE NOT NULL,
+        old_time TIME NOT NULL,
+        new_date DATE NOT NULL,
+        new_time TIME NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_closure_shifts_closure ON closure_shifts(closure_id)');
+    await enableRowLevelSecurity(client, 'closures');
+    await enableRowLevelSecurity(client, 'closure_shifts');
+  },
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS closure_shifts');
+    await client.query('DROP TABLE IF EXISTS closures');
+  }
+};
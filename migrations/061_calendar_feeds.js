@@ -0,0 +1,54 @@
+// Secret-URL iCalendar feeds (one per parent email or admin user, revocable), and an ics_sequence on everything a
+// feed publishes. A trigger bumps it whenever the date, time or status changes, so subscribed calendars replace
+// the old copy of a rescheduled or cancelled class instead of ignoring the update.
+const { enableRowLevelSecurity } = require('../migrate');
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS calendar_feeds (
+        id SERIAL PRIMARY KEY,
+        token TEXT NOT NULL UNIQUE,
+        parent_email TEXT,
+        admin_user_id INTEGER REFERENCES admin_users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_fetched_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        CHECK ((parent_email IS NULL) <> (admin_user_id IS NULL))
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_calendar_feeds_parent ON calendar_feeds(LOWER(parent_email)) WHERE revoked_at IS NULL');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_calendar_feeds_admin ON calendar_feeds(admin_user_id) WHERE revoked_at IS NULL');
+    await enableRowLevelSecurity(client, 'calendar_feeds');
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION bump_ics_sequence() RETURNS trigger AS $$
+      BEGIN
+        NEW.ics_sequence := COALESCE(OLD.ics_sequence, 0) + 1;
+        NEW.ics_updated_at := CURRENT_TIMESTAMP;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    const tracked = {
+      sessions: 'session_date, session_time, status',
+      demo_leads: 'demo_date, demo_time, status',
+      events: 'event_date, event_time, status'
+    };
+    for (const [table, columns] of Object.entries(tracked)) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ics_sequence INTEGER NOT NULL DEFAULT 0`);
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ics_updated_at TIMESTAMP`);
+      await client.query(`DROP TRIGGER IF EXISTS ${table}_ics_sequence ON ${table}`);
+      await client.query(`CREATE TRIGGER ${table}_ics_sequence BEFORE UPDATE OF ${columns} ON ${table} FOR EACH ROW EXECUTE FUNCTION bump_ics_sequence()`);
+    }
+  },
+  down: async (client) => {
+    for (const table of ['sessions', 'demo_leads', 'events']) {
+      await client.query(`DROP TRIGGER IF EXISTS ${table}_ics_sequence ON ${table}`);
+      await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS ics_updated_at`);
+      await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS ics_sequence`);
+    }
+    await client.query('DROP FUNCTION IF EXISTS bump_ics_sequence()');
+    await client.query('DROP TABLE IF EXISTS calendar_feeds');
+  }
+};
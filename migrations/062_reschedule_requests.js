@@ -0,0 +1,36 @@
+// Parent requests to move a private class to another free slot, and the admin's answer. Requested and
+// counter-proposed times are UTC like sessions; parent_timezone is what the parent saw when choosing.
+const { enableRowLevelSecurity } = require('../migrate');
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reschedule_requests (
+        id SERIAL PRIMARY KEY,
+        session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+        student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+        parent_email TEXT,
+        requested_date DATE NOT NULL,
+        requested_time TIME NOT NULL,
+        parent_timezone TEXT NOT NULL DEFAULT 'Asia/Kolkata',
+        reason TEXT,
+        status TEXT NOT NULL DEFAULT 'Pending' CHECK (status IN ('Pending', 'Countered', 'Approved', 'Declined', 'Withdrawn')),
+        counter_date DATE,
+        counter_time TIME,
+        admin_note TEXT,
+        decided_by TEXT,
+        decided_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    // One open request per class
+    await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_reschedule_requests_open ON reschedule_requests(session_id) WHERE status IN ('Pending', 'Countered')`);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_reschedule_requests_status ON reschedule_requests(status, created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_reschedule_requests_student ON reschedule_requests(student_id)');
+    await enableRowLevelSecurity(client, 'reschedule_requests');
+  },
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS reschedule_requests');
+  }
+};
@@ -0,0 +1,31 @@
+// Per-group waitlist, served in joined_at order. When a seat frees up the next family gets a time-limited offer
+// (offer_token is the link in the offer email); an open offer holds the seat until it is accepted or expires.
+const { enableRowLevelSecurity } = require('../migrate');
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS group_waitlist (
+        id SERIAL PRIMARY KEY,
+        group_id INTEGER NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+        student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+        status TEXT NOT NULL DEFAULT 'Waiting' CHECK (status IN ('Waiting', 'Offered', 'Enrolled', 'Declined', 'Expired', 'Removed')),
+        notes TEXT,
+        joined_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        offer_token TEXT UNIQUE,
+        offered_at TIMESTAMP,
+        offer_expires_at TIMESTAMP,
+        responded_at TIMESTAMP,
+        added_by TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    // A student waits for a group only once at a time
+    await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_group_waitlist_open ON group_waitlist(group_id, student_id) WHERE status IN ('Waiting', 'Offered')`);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_group_waitlist_queue ON group_waitlist(group_id, status, joined_at)');
+    await enableRowLevelSecurity(client, 'group_waitlist');
+  },
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS group_waitlist');
+  }
+};
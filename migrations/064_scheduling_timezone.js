@@ -0,0 +1,52 @@
+// Scheduling timezone per student and group: the zone their class times are agreed in. Every session keeps its
+// wall-clock anchor (local_date/local_time in scheduling_timezone), maintained by a trigger from the UTC columns, so
+// recurring classes can be kept at the same local time across DST and parents told when their own clock moves.
+// Existing rows start on Asia/Kolkata, which is what istToUTC() assumed for them.
+module.exports = {
+  up: async (client) => {
+    await client.query(`ALTER TABLE students ADD COLUMN IF NOT EXISTS scheduling_timezone TEXT NOT NULL DEFAULT 'Asia/Kolkata'`);
+    await client.query(`ALTER TABLE groups ADD COLUMN IF NOT EXISTS scheduling_timezone TEXT NOT NULL DEFAULT 'Asia/Kolkata'`);
+    await client.query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS scheduling_timezone TEXT');
+    await client.query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS local_date DATE');
+    await client.query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS local_time TIME');
+    await client.query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS dst_notice_sent_at TIMESTAMP');
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION set_session_local_anchor() RETURNS trigger AS $$
+      DECLARE
+        local_ts TIMESTAMP;
+      BEGIN
+        IF NEW.scheduling_timezone IS NULL THEN
+          NEW.scheduling_timezone := COALESCE(
+            (SELECT scheduling_timezone FROM students WHERE id = NEW.student_id),
+            (SELECT scheduling_timezone FROM groups WHERE id = NEW.group_id),
+            'Asia/Kolkata'
+          );
+        END IF;
+        IF NEW.session_date IS NOT NULL AND NEW.session_time IS NOT NULL THEN
+          local_ts := ((NEW.session_date + NEW.session_time) AT TIME ZONE 'UTC') AT TIME ZONE NEW.scheduling_timezone;
+          NEW.local_date := local_ts::date;
+          NEW.local_time := local_ts::time;
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query('DROP TRIGGER IF EXISTS sessions_local_anchor ON sessions');
+    await client.query(`
+      CREATE TRIGGER sessions_local_anchor BEFORE INSERT OR UPDATE OF session_date, session_time, scheduling_timezone ON sessions
+      FOR EACH ROW EXECUTE FUNCTION set_session_local_anchor()
+    `);
+    await client.query(`UPDATE sessions SET scheduling_timezone = 'Asia/Kolkata' WHERE scheduling_timezone IS NULL`);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_sessions_dst_notice ON sessions(session_date) WHERE dst_notice_sent_at IS NULL');
+  },
+  down: async (client) => {
+    await client.query('DROP TRIGGER IF EXISTS sessions_local_anchor ON sessions');
+    await client.query('DROP FUNCTION IF EXISTS set_session_local_anchor()');
+    for (const column of ['dst_notice_sent_at', 'local_time', 'local_date', 'scheduling_timezone']) {
+      await client.query(`ALTER TABLE sessions DROP COLUMN IF EXISTS ${column}`);
+    }
+    await client.query('ALTER TABLE groups DROP COLUMN IF EXISTS scheduling_timezone');
+    await client.query('ALTER TABLE students DROP COLUMN IF EXISTS scheduling_timezone');
+  }
+};
@@ -0,0 +1,136 @@
+// Class length as data instead of free text. program_durations holds a default length per program; students and
+// groups get duration_minutes, kept in step with their "40 mins" text by a trigger so the existing forms keep
+// working (NULL when the text has no number, so the program default applies). Every session stores its own
+// duration_minutes (editable per session) and a generated ends_at. Demos get a duration_minutes too, 60 as before.
+const { enableRowLevelSecurity } = require('../migrate');
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS program_durations (
+        id SERIAL PRIMARY KEY,
+        program_name TEXT NOT NULL,
+        duration_minutes INTEGER NOT NULL CHECK (duration_minutes BETWEEN 5 AND 480),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_program_durations_name ON program_durations(LOWER(program_name))');
+    await enableRowLevelSecurity(client, 'program_durations');
+
+    // "40 mins" -> 40, "1 hour" -> 60, anything without a number -> NULL
+    await client.query(`
+      CREATE OR REPLACE FUNCTION parse_duration_minutes(duration TEXT) RETURNS INTEGER AS $$
+        SELECT CASE
+          WHEN substring(duration from '(\\d+)') IS NULL THEN NULL
+          WHEN duration ~* 'hour|hr' THEN substring(duration from '(\\d+)')::int * 60
+          ELSE substring(duration from '(\\d+)')::int
+        END
+      $$ LANGUAGE sql IMMUTABLE
+    `);
+
+    for (const table of ['students', 'groups']) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS duration_minutes INTEGER`);
+      await client.query(`UPDATE ${table} SET duration_minutes = parse_duration_minutes(duration) WHERE duration_minutes IS NULL`);
+    }
+    await client.query(`
+      CREATE OR REPLACE FUNCTION set_duration_minutes_from_text() RETURNS trigger AS $$
+      BEGIN
+        NEW.duration_minutes := parse_duration_minutes(NEW.duration);
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    for (const table of ['students', 'groups']) {
+      await client.query(`DROP TRIGGER IF EXISTS ${table}_duration_minutes ON ${table}`);
+      await client.query(`CREATE TRIGGER ${table}_duration_minutes BEFORE INSERT OR UPDATE OF duration ON ${table} FOR EACH ROW EXECUTE FUNCTION set_duration_minutes_from_text()`);
+    }
+
+    await client.query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS duration_minutes INTEGER');
+    await client.query(`
+      UPDATE sessions s SET duration_minutes = COALESCE(
+        (SELECT duration_minutes FROM students WHERE id = s.student_id),
+        (SELECT duration_minutes FROM groups WHERE id = s.group_id),
+        40
+      )
+      WHERE duration_minutes IS NULL
+    `);
+    // New sessions take the student's or group's length, then their program's default, then 40 minutes
+    await client.query(`
+      CREATE OR REPLACE FUNCTION set_session_duration() RETURNS trigger AS $$
+      BEGIN
+        IF NEW.duration_minutes IS NULL THEN
+          NEW.duration_minutes := COALESCE(
+            (SELECT COALESCE(st.duration_minutes, pd.duration_minutes) FROM students st
+               LEFT JOIN program_durations pd ON LOWER(pd.program_name) = LOWER(st.program_name) WHERE st.id = NEW.student_id),
+            (SELECT COALESCE(g.duration_minutes, pd.duration_minutes) FROM groups g
+               LEFT JOIN program_durations pd ON LOWER(pd.program_name) = LOWER(g.program_name) WHERE g.id = NEW.group_id),
+            40
+          );
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query('DROP TRIGGER IF EXISTS sessions_duration ON sessions');
+    await client.query('CREATE TRIGGER sessions_duration BEFORE INSERT ON sessions FOR EACH ROW EXECUTE FUNCTION set_session_duration()');
+    await client.query('ALTER TABLE sessions ALTER COLUMN duration_minutes SET NOT NULL');
+    await client.query(`
+      DO $$ BEGIN
+        ALTER TABLE sessions ADD CONSTRAINT sessions_duration_minutes_range CHECK (duration_minutes BETWEEN 5 AND 480);
+      EXCEPTION WHEN duplicate_object THEN NULL;
+      END $$
+    `);
+    await client.query(`
+      ALTER TABLE sessions ADD COLUMN IF NOT EXISTS ends_at TIMESTAMP
+        GENERATED ALWAYS AS (session_date + session_time + make_interval(mins => duration_minutes)) STORED
+    `);
+
+    // A new class length for a student or group carries over to their upcoming classes, except ones given their own
+    await client.query(`
+      CREATE OR REPLACE FUNCTION carry_duration_to_sessions() RETURNS trigger AS $$
+      BEGIN
+        IF NEW.duration_minutes IS NOT NULL AND NEW.duration_minutes IS DISTINCT FROM OLD.duration_minutes THEN
+          UPDATE sessions SET duration_minutes = NEW.duration_minutes
+          WHERE (CASE WHEN TG_TABLE_NAME = 'students' THEN student_id ELSE group_id END) = NEW.id
+            AND status IN ('Pending', 'Scheduled') AND session_date >= CURRENT_DATE
+            AND duration_minutes = COALESCE(OLD.duration_minutes, 40);
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    for (const table of ['students', 'groups']) {
+      await client.query(`DROP TRIGGER IF EXISTS ${table}_carry_duration ON ${table}`);
+      await client.query(`CREATE TRIGGER ${table}_carry_duration AFTER UPDATE OF duration ON ${table} FOR EACH ROW EXECUTE FUNCTION carry_duration_to_sessions()`);
+    }
+
+    await client.query('ALTER TABLE demo_leads ADD COLUMN IF NOT EXISTS duration_minutes INTEGER NOT NULL DEFAULT 60');
+
+    // A new length is a change calendar subscribers should pick up
+    await client.query('DROP TRIGGER IF EXISTS sessions_ics_sequence ON sessions');
+    await client.query('CREATE TRIGGER sessions_ics_sequence BEFORE UPDATE OF session_date, session_time, status, duration_minutes ON sessions FOR EACH ROW EXECUTE FUNCTION bump_ics_sequence()');
+    await client.query('DROP TRIGGER IF EXISTS demo_leads_ics_sequence ON demo_leads');
+    await client.query('CREATE TRIGGER demo_leads_ics_sequence BEFORE UPDATE OF demo_date, demo_time, status, duration_minutes ON demo_leads FOR EACH ROW EXECUTE FUNCTION bump_ics_sequence()');
+  },
+  down: async (client) => {
+    await client.query('DROP TRIGGER IF EXISTS sessions_ics_sequence ON sessions');
+    await client.query('CREATE TRIGGER sessions_ics_sequence BEFORE UPDATE OF session_date, session_time, status ON sessions FOR EACH ROW EXECUTE FUNCTION bump_ics_sequence()');
+    await client.query('DROP TRIGGER IF EXISTS demo_leads_ics_sequence ON demo_leads');
+    await client.query('CREATE TRIGGER demo_leads_ics_sequence BEFORE UPDATE OF demo_date, demo_time, status ON demo_leads FOR EACH ROW EXECUTE FUNCTION bump_ics_sequence()');
+    await client.query('ALTER TABLE demo_leads DROP COLUMN IF EXISTS duration_minutes');
+    await client.query('ALTER TABLE sessions DROP COLUMN IF EXISTS ends_at');
+    await client.query('ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_duration_minutes_range');
+    await client.query('DROP TRIGGER IF EXISTS sessions_duration ON sessions');
+    await client.query('DROP FUNCTION IF EXISTS set_session_duration()');
+    await client.query('ALTER TABLE sessions DROP COLUMN IF EXISTS duration_minutes');
+    for (const table of ['students', 'groups']) {
+      await client.query(`DROP TRIGGER IF EXISTS ${table}_carry_duration ON ${table}`);
+      await client.query(`DROP TRIGGER IF EXISTS ${table}_duration_minutes ON ${table}`);
+      await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS duration_minutes`);
+    }
+    await client.query('DROP FUNCTION IF EXISTS carry_duration_to_sessions()');
+    await client.query('DROP FUNCTION IF EXISTS set_duration_minutes_from_text()');
+    await client.query('DROP FUNCTION IF EXISTS parse_duration_minutes(TEXT)');
+    await client.query('DROP TABLE IF EXISTS program_durations');
+  }
+};
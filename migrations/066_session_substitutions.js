@@ -0,0 +1,33 @@
+// Substitute cover for single classes. While a substitution is Active the session's teacher_id points at the
+// substitute, so calendars, reminders and teacher scoping follow them; original_teacher_id is the session's own
+// teacher_id from before (NULL = it followed its student/group) and is put back when the cover ends.
+// absent_teacher_id is who was due to teach (NULL = the academy's own classes).
+const { enableRowLevelSecurity } = require('../migrate');
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS session_substitutions (
+        id SERIAL PRIMARY KEY,
+        session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+        substitute_teacher_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+        original_teacher_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+        absent_teacher_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+        reason TEXT,
+        status TEXT NOT NULL DEFAULT 'Active' CHECK (status IN ('Active', 'Ended')),
+        handover_sent_at TIMESTAMP,
+        parents_notified_at TIMESTAMP,
+        created_by TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        ended_at TIMESTAMP
+      )
+    `);
+    // One active cover per class
+    await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_session_substitutions_active ON session_substitutions(session_id) WHERE status = 'Active'`);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_session_substitutions_substitute ON session_substitutions(substitute_teacher_id, status)');
+    await enableRowLevelSecurity(client, 'session_substitutions');
+  },
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS session_substitutions');
+  }
+};
@@ -0,0 +1,20 @@
+// A video room of its own for every class, created by the configured meeting provider the first time someone joins.
+// meeting_url is what students get (through /join-class only), meeting_host_url what the teacher opens; the room
+// stops working at meeting_expires_at and is deleted at the provider afterwards (meeting_deleted_at).
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS meeting_provider TEXT');
+    await client.query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS meeting_room_id TEXT');
+    await client.query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS meeting_url TEXT');
+    await client.query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS meeting_host_url TEXT');
+    await client.query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS meeting_expires_at TIMESTAMP');
+    await client.query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS meeting_deleted_at TIMESTAMP');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_sessions_meeting_cleanup ON sessions(meeting_expires_at) WHERE meeting_room_id IS NOT NULL AND meeting_deleted_at IS NULL');
+  },
+  down: async (client) => {
+    await client.query('DROP INDEX IF EXISTS idx_sessions_meeting_cleanup');
+    for (const column of ['meeting_deleted_at', 'meeting_expires_at', 'meeting_host_url', 'meeting_url', 'meeting_room_id', 'meeting_provider']) {
+      await client.query(`ALTER TABLE sessions DROP COLUMN IF EXISTS ${column}`);
+    }
+  }
+};
@@ -0,0 +1,29 @@
+// Every click through the /join-class gate for a class: when, what the gate did with it (Joined / Too Early /
+// Ended) and, when the link carried a per-student token, whose click it was (NULL = untokened link). The first
+// Joined click pre-fills attendance; arrived_late records what the teacher confirmed about a join after the start.
+const { enableRowLevelSecurity } = require('../migrate');
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS join_clicks (
+        id SERIAL PRIMARY KEY,
+        session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+        student_id INTEGER REFERENCES students(id) ON DELETE SET NULL,
+        outcome TEXT NOT NULL CHECK (outcome IN ('Joined', 'Too Early', 'Ended')),
+        clicked_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        user_agent TEXT
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_join_clicks_session ON join_clicks(session_id, clicked_at)');
+    await enableRowLevelSecurity(client, 'join_clicks');
+
+    await client.query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS arrived_late BOOLEAN');
+    await client.query('ALTER TABLE session_attendance ADD COLUMN IF NOT EXISTS arrived_late BOOLEAN');
+  },
+  down: async (client) => {
+    await client.query('ALTER TABLE session_attendance DROP COLUMN IF EXISTS arrived_late');
+    await client.query('ALTER TABLE sessions DROP COLUMN IF EXISTS arrived_late');
+    await client.query('DROP TABLE IF EXISTS join_clicks');
+  }
+};
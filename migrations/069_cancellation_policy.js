@@ -0,0 +1,47 @@
+// Makeup credits for cancellations decided by one policy instead of per route. cancellation_policy is a single row
+// the owner edits (the defaults match what the routes did before: a parent cancelling at least an hour ahead always
+// got a credit). Every cancellation records the decision: who cancelled, how much notice, which rule applied and the
+// explanation the parent was sent, plus the credit it created.
+const { enableRowLevelSecurity } = require('../migrate');
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS cancellation_policy (
+        id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+        min_notice_hours INTEGER NOT NULL DEFAULT 1 CHECK (min_notice_hours BETWEEN 0 AND 720),
+        max_credits_per_month INTEGER CHECK (max_credits_per_month >= 0),
+        academy_cancel_credit BOOLEAN NOT NULL DEFAULT true,
+        allow_emergency_exceptions BOOLEAN NOT NULL DEFAULT true,
+        updated_by TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('INSERT INTO cancellation_policy (id) VALUES (1) ON CONFLICT (id) DO NOTHING');
+    await enableRowLevelSecurity(client, 'cancellation_policy');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS cancellation_decisions (
+        id SERIAL PRIMARY KEY,
+        session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+        student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+        cancelled_by TEXT NOT NULL CHECK (cancelled_by IN ('Parent', 'Academy')),
+        notice_hours NUMERIC(8,1),
+        emergency BOOLEAN NOT NULL DEFAULT false,
+        rule TEXT NOT NULL,
+        credit_granted BOOLEAN NOT NULL,
+        explanation TEXT NOT NULL,
+        makeup_credit_id INTEGER REFERENCES makeup_classes(id) ON DELETE SET NULL,
+        decided_by TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_cancellation_decisions_student ON cancellation_decisions(student_id, created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_cancellation_decisions_session ON cancellation_decisions(session_id)');
+    await enableRowLevelSecurity(client, 'cancellation_decisions');
+  },
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS cancellation_decisions');
+    await client.query('DROP TABLE IF EXISTS cancellation_policy');
+  }
+};
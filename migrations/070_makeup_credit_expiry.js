@@ -0,0 +1,172 @@
+// Makeup credits expire. The cancellation policy gains credit_validity_days (NULL = credits never expire) and
+// expiry_reminder_days (0 = no reminder email); a trigger gives each new credit its expires_at from the policy.
+// Credits already Available get the validity counted from their credit date, but at least 30 more days, so none
+// lapse the night this ships. Their status can now also be 'Used' (the makeup class was held) or 'Expired'.
+// makeup_credit_ledger is filled by a trigger on makeup_classes, so every route that issues, books or removes a
+// credit is covered; a route can name the event, reason and actor for its transaction through the
+// app.makeup_ledger_* settings (see setMakeupLedgerContext in server.js).
+const { enableRowLevelSecurity } = require('../migrate');
+
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE cancellation_policy ADD COLUMN IF NOT EXISTS credit_validity_days INTEGER DEFAULT 90 CHECK (credit_validity_days BETWEEN 1 AND 3650)');
+    await client.query('ALTER TABLE cancellation_policy ADD COLUMN IF NOT EXISTS expiry_reminder_days INTEGER NOT NULL DEFAULT 7 CHECK (expiry_reminder_days BETWEEN 0 AND 60)');
+
+    await client.query('ALTER TABLE makeup_classes ADD COLUMN IF NOT EXISTS expires_at DATE');
+    await client.query('ALTER TABLE makeup_classes ADD COLUMN IF NOT EXISTS expiry_reminder_sent_at TIMESTAMP');
+    await client.query(`
+      UPDATE makeup_classes m
+      SET expires_at = GREATEST(COALESCE(m.credit_date, m.created_at::date) + p.credit_validity_days, CURRENT_DATE + 30)
+      FROM cancellation_policy p
+      WHERE p.id = 1 AND p.credit_validity_days IS NOT NULL AND m.status = 'Available' AND m.expires_at IS NULL
+    `);
+    // Makeup classes already held use up their credit
+    await client.query(`
+      UPDATE makeup_classes m SET status = 'Used'
+      FROM sessions s
+      WHERE s.id = m.scheduled_session_id AND m.status = 'Scheduled' AND s.status IN ('Completed', 'Missed')
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_makeup_classes_expiry ON makeup_classes(expires_at) WHERE status = \'Available\'');
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION set_makeup_credit_expiry() RETURNS trigger AS $$
+      BEGIN
+        IF NEW.expires_at IS NULL AND NEW.status = 'Available' THEN
+          NEW.expires_at := COALESCE(NEW.credit_date, CURRENT_DATE)
+            + (SELECT credit_validity_days FROM cancellation_policy WHERE id = 1);
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query('DROP TRIGGER IF EXISTS makeup_classes_expiry ON makeup_classes');
+    await client.query('CREATE TRIGGER makeup_classes_expiry BEFORE INSERT ON makeup_classes FOR EACH ROW EXECUTE FUNCTION set_makeup_credit_expiry()');
+
+    // change: what the entry does to the student's available credits (+1, -1 or 0)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS makeup_credit_ledger (
+        id SERIAL PRIMARY KEY,
+        student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+        makeup_credit_id INTEGER REFERENCES makeup_classes(id) ON DELETE SET NULL,
+        event TEXT NOT NULL CHECK (event IN ('Issued', 'Scheduled', 'Used', 'Expired', 'Adjusted')),
+        change INTEGER NOT NULL,
+        reason TEXT NOT NULL,
+        session_id INTEGER REFERENCES sessions(id) ON DELETE SET NULL,
+        actor TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_makeup_credit_ledger_student ON makeup_credit_ledger(student_id, created_at)');
+    await enableRowLevelSecurity(client, 'makeup_credit_ledger');
+
+    // Existing credits start the ledger with what is known of them
+    const { rows } = await client.query('SELECT COUNT(*)::int AS count FROM makeup_credit_ledger');
+    if (rows[0].count === 0) {
+      await client.query(`
+        INSERT INTO makeup_credit_ledger (student_id, makeup_credit_id, event, change, reason, session_id, actor, created_at)
+        SELECT student_id, id, 'Issued', 1, COALESCE(NULLIF(reason, ''), 'Makeup credit'), original_session_id, added_by,
+               COALESCE(created_at, credit_date::timestamp, CURRENT_TIMESTAMP)
+        FROM makeup_classes
+      `);
+      await client.query(`
+        INSERT INTO makeup_credit_ledger (student_id, makeup_credit_id, event, change, reason, session_id, created_at)
+        SELECT student_id, id, 'Scheduled', -1,
+               CASE WHEN scheduled_session_id IS NULL THEN 'Applied to a renewed package' ELSE 'Makeup class booked' END,
+               scheduled_session_id, COALESCE(used_date::timestamp, created_at, CURRENT_TIMESTAMP)
+        FROM makeup_classes WHERE status IN ('Scheduled', 'Used')
+      `);
+      await client.query(`
+        INSERT INTO makeup_credit_ledger (student_id, makeup_credit_id, event, change, reason, session_id, created_at)
+        SELECT m.student_id, m.id, 'Used', 0, 'Makeup class ' || CASE WHEN s.status = 'Missed' THEN 'missed' ELSE 'attended' END,
+               m.scheduled_session_id, s.session_date + s.session_time
+        FROM makeup_classes m JOIN sessions s ON s.id = m.scheduled_session_id
+        WHERE m.status = 'Used'
+      `);
+    }
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION log_makeup_credit_change() RETURNS trigger AS $$
+      DECLARE
+        v_event TEXT := NULLIF(current_setting('app.makeup_ledger_event', true), '');
+        v_reason TEXT := NULLIF(current_setting('app.makeup_ledger_reason', true), '');
+        v_actor TEXT := NULLIF(current_setting('app.makeup_ledger_actor', true), '');
+        v_session_status TEXT;
+      BEGIN
+        IF TG_OP = 'INSERT' THEN
+          INSERT INTO makeup_credit_ledger (student_id, makeup_credit_id, event, change, reason, session_id, actor)
+          VALUES (NEW.student_id, NEW.id, COALESCE(v_event, 'Issued'), CASE WHEN NEW.status = 'Available' THEN 1 ELSE 0 END,
+                  COALESCE(v_reason, NULLIF(NEW.reason, ''), 'Makeup credit'), NEW.original_session_id, COALESCE(v_actor, NEW.added_by));
+          RETURN NEW;
+        END IF;
+
+        IF TG_OP = 'DELETE' THEN
+          -- A student being deleted takes their ledger with them
+          IF OLD.status = 'Available' AND EXISTS (SELECT 1 FROM students WHERE id = OLD.student_id) THEN
+            INSERT INTO makeup_credit_ledger (student_id, makeup_credit_id, event, change, reason, actor)
+            VALUES (OLD.student_id, NULL, COALESCE(v_event, 'Adjusted'), -1,
+                    COALESCE(v_reason, 'Credit removed (' || COALESCE(NULLIF(OLD.reason, ''), 'makeup credit') || ')'), v_actor);
+          END IF;
+          RETURN OLD;
+        END IF;
+
+        IF NEW.status IS DISTINCT FROM OLD.status THEN
+          IF NEW.status = 'Used' THEN
+            SELECT status INTO v_session_status FROM sessions WHERE id = NEW.scheduled_session_id;
+          END IF;
+          INSERT INTO makeup_credit_ledger (student_id, makeup_credit_id, event, change, reason, session_id, actor)
+          VALUES (
+            NEW.student_id, NEW.id,
+            COALESCE(v_event, CASE WHEN NEW.status IN ('Scheduled', 'Used', 'Expired') THEN NEW.status ELSE 'Adjusted' END),
+            (NEW.status = 'Available')::int - (OLD.status = 'Available')::int,
+            COALESCE(v_reason, CASE
+              WHEN NEW.status = 'Scheduled' AND NEW.scheduled_session_id IS NULL THEN 'Applied to a renewed package'
+              WHEN NEW.status = 'Scheduled' THEN 'Makeup class booked for ' || COALESCE(to_char(NEW.scheduled_date, 'DD Mon YYYY'), 'a new date')
+              WHEN NEW.status = 'Used' THEN 'Makeup class ' || CASE WHEN v_session_status = 'Missed' THEN 'missed' ELSE 'attended' END
+              WHEN NEW.status = 'Expired' THEN 'Not used by ' || COALESCE(to_char(OLD.expires_at, 'DD Mon YYYY'), 'its expiry date')
+              ELSE 'Status changed from ' || COALESCE(OLD.status, 'none') || ' to ' || COALESCE(NEW.status, 'none')
+            END),
+            COALESCE(NEW.scheduled_session_id, NEW.original_session_id),
+            COALESCE(v_actor, 'system')
+          );
+        ELSIF NEW.expires_at IS DISTINCT FROM OLD.expires_at THEN
+          INSERT INTO makeup_credit_ledger (student_id, makeup_credit_id, event, change, reason, actor)
+          VALUES (NEW.student_id, NEW.id, COALESCE(v_event, 'Adjusted'), 0,
+                  COALESCE(v_reason, 'Expiry changed to ' || COALESCE(to_char(NEW.expires_at, 'DD Mon YYYY'), 'never')), COALESCE(v_actor, 'system'));
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query('DROP TRIGGER IF EXISTS makeup_classes_ledger ON makeup_classes');
+    await client.query('CREATE TRIGGER makeup_classes_ledger AFTER INSERT OR DELETE OR UPDATE OF status, expires_at ON makeup_classes FOR EACH ROW EXECUTE FUNCTION log_makeup_credit_change()');
+
+    // A makeup class that is held (or missed) uses up the credit it was booked with
+    await client.query(`
+      CREATE OR REPLACE FUNCTION use_makeup_credit_for_session() RETURNS trigger AS $$
+      BEGIN
+        IF NEW.status IN ('Completed', 'Missed') AND OLD.status IS DISTINCT FROM NEW.status THEN
+          UPDATE makeup_classes SET status = 'Used' WHERE scheduled_session_id = NEW.id AND status = 'Scheduled';
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query('DROP TRIGGER IF EXISTS sessions_use_makeup_credit ON sessions');
+    await client.query('CREATE TRIGGER sessions_use_makeup_credit AFTER UPDATE OF status ON sessions FOR EACH ROW EXECUTE FUNCTION use_makeup_credit_for_session()');
+  },
+  down: async (client) => {
+    await client.query('DROP TRIGGER IF EXISTS sessions_use_makeup_credit ON sessions');
+    await client.query('DROP FUNCTION IF EXISTS use_makeup_credit_for_session()');
+    await client.query('DROP TRIGGER IF EXISTS makeup_classes_ledger ON makeup_classes');
+    await client.query('DROP FUNCTION IF EXISTS log_makeup_credit_change()');
+    await client.query('DROP TABLE IF EXISTS makeup_credit_ledger');
+    await client.query('DROP TRIGGER IF EXISTS makeup_classes_expiry ON makeup_classes');
+    await client.query('DROP FUNCTION IF EXISTS set_makeup_credit_expiry()');
+    await client.query('UPDATE makeup_classes SET status = \'Available\' WHERE status = \'Expired\'');
+    await client.query('DROP INDEX IF EXISTS idx_makeup_classes_expiry');
+    await client.query('ALTER TABLE makeup_classes DROP COLUMN IF EXISTS expiry_reminder_sent_at');
+    await client.query('ALTER TABLE makeup_classes DROP COLUMN IF EXISTS expires_at');
+    await client.query('ALTER TABLE cancellation_policy DROP COLUMN IF EXISTS expiry_reminder_days');
+    await client.query('ALTER TABLE cancellation_policy DROP COLUMN IF EXISTS credit_validity_days');
+  }
+};
@@ -0,0 +1,89 @@
+// Session counters from a ledger. Every purchase, consumption, refund, makeup and correction of a student's
+// total / completed / missed / remaining sessions is a row in session_credit_ledger, and the counters on the students
+// row are the ledger's running total rather than numbers each route edits. The apply_session_credit_entry trigger
+// created here was replaced by migration 076: each entry is now added to the counters by the statement that writes it
+// (recordSessionCredits and setSessionCounters in server.js), in the same transaction as the change it records.
+// The ledger is append-only (mistakes are fixed by a Correction entry) and keeps the entries of deleted students,
+// like audit_log. Each student starts with an opening-balance Correction holding the counters as they were.
+// A backup restore (app.restoring = 'on' for its transaction) replaces the ledger and the counters together, so
+// the append-only guards, and the makeup credit ledger's, stand aside while it runs.
+const { enableRowLevelSecurity } = require('../migrate');
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS session_credit_ledger (
+        id BIGSERIAL PRIMARY KEY,
+        student_id INTEGER NOT NULL,
+        entry_type TEXT NOT NULL CHECK (entry_type IN ('Purchase', 'Consumption', 'Refund', 'Makeup', 'Correction')),
+        total_change INTEGER NOT NULL DEFAULT 0,
+        completed_change INTEGER NOT NULL DEFAULT 0,
+        missed_change INTEGER NOT NULL DEFAULT 0,
+        remaining_change INTEGER NOT NULL DEFAULT 0,
+        reason TEXT NOT NULL,
+        session_id INTEGER,
+        actor TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_session_credit_ledger_student ON session_credit_ledger(student_id, id)');
+    await enableRowLevelSecurity(client, 'session_credit_ledger');
+
+    const { rows } = await client.query('SELECT COUNT(*)::int AS count FROM session_credit_ledger');
+    if (rows[0].count === 0) {
+      await client.query(`
+        INSERT INTO session_credit_ledger (student_id, entry_type, total_change, completed_change, missed_change, remaining_change, reason, actor)
+        SELECT id, 'Correction', COALESCE(total_sessions, 0), COALESCE(completed_sessions, 0), COALESCE(missed_sessions, 0), COALESCE(remaining_sessions, 0),
+               'Opening balance (counters before the ledger)', 'system'
+        FROM students
+      `);
+    }
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION session_credit_ledger_append_only() RETURNS trigger AS $$
+      BEGIN
+        IF current_setting('app.restoring', true) = 'on' THEN
+          RETURN OLD;
+        END IF;
+        RAISE EXCEPTION 'session_credit_ledger is append-only; record a Correction instead';
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query('DROP TRIGGER IF EXISTS session_credit_ledger_no_change ON session_credit_ledger');
+    await client.query('CREATE TRIGGER session_credit_ledger_no_change BEFORE UPDATE OR DELETE ON session_credit_ledger FOR EACH ROW EXECUTE FUNCTION session_credit_ledger_append_only()');
+    await client.query('DROP TRIGGER IF EXISTS session_credit_ledger_no_truncate ON session_credit_ledger');
+    await client.query('CREATE TRIGGER session_credit_ledger_no_truncate BEFORE TRUNCATE ON session_credit_ledger FOR EACH STATEMENT EXECUTE FUNCTION session_credit_ledger_append_only()');
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION apply_session_credit_entry() RETURNS trigger AS $$
+      BEGIN
+        UPDATE students SET
+          total_sessions = COALESCE(total_sessions, 0) + NEW.total_change,
+          completed_sessions = COALESCE(completed_sessions, 0) + NEW.completed_change,
+          missed_sessions = COALESCE(missed_sessions, 0) + NEW.missed_change,
+          remaining_sessions = COALESCE(remaining_sessions, 0) + NEW.remaining_change
+        WHERE id = NEW.student_id;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query('DROP TRIGGER IF EXISTS session_credit_ledger_apply ON session_credit_ledger');
+    await client.query(`
+      CREATE TRIGGER session_credit_ledger_apply AFTER INSERT ON session_credit_ledger FOR EACH ROW
+      WHEN (current_setting('app.restoring', true) IS DISTINCT FROM 'on') EXECUTE FUNCTION apply_session_credit_entry()
+    `);
+
+    await client.query('DROP TRIGGER IF EXISTS makeup_classes_ledger ON makeup_classes');
+    await client.query(`
+      CREATE TRIGGER makeup_classes_ledger AFTER INSERT OR DELETE OR UPDATE OF status, expires_at ON makeup_classes FOR EACH ROW
+      WHEN (current_setting('app.restoring', true) IS DISTINCT FROM 'on') EXECUTE FUNCTION log_makeup_credit_change()
+    `);
+  },
+  down: async (client) => {
+    await client.query('DROP TRIGGER IF EXISTS makeup_classes_ledger ON makeup_classes');
+    await client.query('CREATE TRIGGER makeup_classes_ledger AFTER INSERT OR DELETE OR UPDATE OF status, expires_at ON makeup_classes FOR EACH ROW EXECUTE FUNCTION log_makeup_credit_change()');
+    await client.query('DROP TABLE IF EXISTS session_credit_ledger');
+    await client.query('DROP FUNCTION IF EXISTS apply_session_credit_entry()');
+    await client.query('DROP FUNCTION IF EXISTS session_credit_ledger_append_only()');
+  }
+};
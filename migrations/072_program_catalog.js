@@ -0,0 +1,190 @@
+// A catalog of programs and the packages parents buy. programs replaces the free-text program names (and folds in
+// program_durations: a program's default class length is default_duration_minutes); program_packages are the
+// session bundles on sale for a program, optionally only for private or group classes, with a price per currency
+// in program_package_prices. Spellings that differ only in case or spacing ("Phonics", "phonics ") become one
+// program, named by its most used spelling. Students and groups get program_id; a trigger keeps it and
+// program_name in step (a name matching a program links to it, a program_id sets the name), so reports and the
+// existing forms read program_name as before. Students, renewals and first payments remember the package bought.
+const { enableRowLevelSecurity } = require('../migrate');
+
+module.exports = {
+  up: async (client) => {
+    // "  Phonics   Program " and "phonics program" are the same program
+    await client.query(`
+      CREATE OR REPLACE FUNCTION program_name_key(name TEXT) RETURNS TEXT AS $$
+        SELECT LOWER(regexp_replace(btrim(name), '\\s+', ' ', 'g'))
+      $$ LANGUAGE sql IMMUTABLE
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS programs (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL CHECK (btrim(name) <> ''),
+        default_duration_minutes INTEGER CHECK (default_duration_minutes BETWEEN 5 AND 480),
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_programs_name ON programs(program_name_key(name))');
+    await enableRowLevelSecurity(client, 'programs');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS program_packages (
+        id SERIAL PRIMARY KEY,
+        program_id INTEGER NOT NULL REFERENCES programs(id) ON DELETE CASCADE,
+        sessions INTEGER NOT NULL CHECK (sessions BETWEEN 1 AND 200),
+        class_type TEXT CHECK (class_type IN ('Private', 'Group')),
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_program_packages_program ON program_packages(program_id)');
+    await enableRowLevelSecurity(client, 'program_packages');
+
+    // price: what the whole package costs in that currency
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS program_package_prices (
+        package_id INTEGER NOT NULL REFERENCES program_packages(id) ON DELETE CASCADE,
+        currency TEXT NOT NULL CHECK (currency ~ '^[A-Z]{3}$'),
+        price NUMERIC(10,2) NOT NULL CHECK (price >= 0),
+        PRIMARY KEY (package_id, currency)
+      )
+    `);
+    await enableRowLevelSecurity(client, 'program_package_prices');
+
+    await client.query(`
+      INSERT INTO programs (name, default_duration_minutes)
+      SELECT DISTINCT ON (program_name_key(n.name)) n.name,
+             (SELECT MAX(pd.duration_minutes) FROM program_durations pd WHERE program_name_key(pd.program_name) = program_name_key(n.name))
+      FROM (
+        SELECT regexp_replace(btrim(program_name), '\\s+', ' ', 'g') AS name, COUNT(*) AS uses
+        FROM (
+          SELECT program_name FROM students
+          UNION ALL SELECT program_name FROM groups
+          UNION ALL SELECT program_name FROM program_durations
+        ) all_names
+        WHERE btrim(COALESCE(program_name, '')) <> ''
+        GROUP BY 1
+      ) n
+      ORDER BY program_name_key(n.name), n.uses DESC, n.name
+      ON CONFLICT DO NOTHING
+    `);
+
+    for (const table of ['students', 'groups']) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS program_id INTEGER REFERENCES programs(id) ON DELETE SET NULL`);
+      await client.query(`
+        UPDATE ${table} t SET program_id = p.id, program_name = p.name
+        FROM programs p
+        WHERE program_name_key(t.program_name) = program_name_key(p.name)
+      `);
+    }
+    await client.query('ALTER TABLE students ADD COLUMN IF NOT EXISTS package_id INTEGER REFERENCES program_packages(id) ON DELETE SET NULL');
+    await client.query('ALTER TABLE payment_renewals ADD COLUMN IF NOT EXISTS package_id INTEGER REFERENCES program_packages(id) ON DELETE SET NULL');
+    await client.query('ALTER TABLE payment_history ADD COLUMN IF NOT EXISTS package_id INTEGER REFERENCES program_packages(id) ON DELETE SET NULL');
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION sync_program_reference() RETURNS trigger AS $$
+      DECLARE
+        v_program programs%ROWTYPE;
+      BEGIN
+        IF NEW.program_id IS NOT NULL AND (TG_OP = 'INSERT' OR NEW.program_id IS DISTINCT FROM OLD.program_id) THEN
+          SELECT * INTO v_program FROM programs WHERE id = NEW.program_id;
+        ELSE
+          SELECT * INTO v_program FROM programs WHERE program_name_key(name) = program_name_key(NEW.program_name);
+        END IF;
+        IF FOUND THEN
+          NEW.program_id := v_program.id;
+          NEW.program_name := v_program.name;
+        ELSE
+          NEW.program_id := NULL;
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    for (const table of ['students', 'groups']) {
+      await client.query(`DROP TRIGGER IF EXISTS ${table}_program_reference ON ${table}`);
+      await client.query(`CREATE TRIGGER ${table}_program_reference BEFORE INSERT OR UPDATE OF program_id, program_name ON ${table} FOR EACH ROW EXECUTE FUNCTION sync_program_reference()`);
+    }
+
+    // A renamed program is renamed on its students and groups
+    await client.query(`
+      CREATE OR REPLACE FUNCTION carry_program_rename() RETURNS trigger AS $$
+      BEGIN
+        UPDATE students SET program_name = NEW.name WHERE program_id = NEW.id AND program_name IS DISTINCT FROM NEW.name;
+        UPDATE groups SET program_name = NEW.name WHERE program_id = NEW.id AND program_name IS DISTINCT FROM NEW.name;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query('DROP TRIGGER IF EXISTS programs_carry_rename ON programs');
+    await client.query('CREATE TRIGGER programs_carry_rename AFTER UPDATE OF name ON programs FOR EACH ROW EXECUTE FUNCTION carry_program_rename()');
+
+    // New sessions: the student's or group's length, then their program's default, then 40 minutes
+    await client.query(`
+      CREATE OR REPLACE FUNCTION set_session_duration() RETURNS trigger AS $$
+      BEGIN
+        IF NEW.duration_minutes IS NULL THEN
+          NEW.duration_minutes := COALESCE(
+            (SELECT COALESCE(st.duration_minutes, p.default_duration_minutes) FROM students st
+               LEFT JOIN programs p ON p.id = st.program_id WHERE st.id = NEW.student_id),
+            (SELECT COALESCE(g.duration_minutes, p.default_duration_minutes) FROM groups g
+               LEFT JOIN programs p ON p.id = g.program_id WHERE g.id = NEW.group_id),
+            40
+          );
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query('DROP TABLE IF EXISTS program_durations');
+  },
+  down: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS program_durations (
+        id SERIAL PRIMARY KEY,
+        program_name TEXT NOT NULL,
+        duration_minutes INTEGER NOT NULL CHECK (duration_minutes BETWEEN 5 AND 480),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_program_durations_name ON program_durations(LOWER(program_name))');
+    await enableRowLevelSecurity(client, 'program_durations');
+    await client.query(`
+      INSERT INTO program_durations (program_name, duration_minutes)
+      SELECT name, default_duration_minutes FROM programs WHERE default_duration_minutes IS NOT NULL
+      ON CONFLICT DO NOTHING
+    `);
+    await client.query(`
+      CREATE OR REPLACE FUNCTION set_session_duration() RETURNS trigger AS $$
+      BEGIN
+        IF NEW.duration_minutes IS NULL THEN
+          NEW.duration_minutes := COALESCE(
+            (SELECT COALESCE(st.duration_minutes, pd.duration_minutes) FROM students st
+               LEFT JOIN program_durations pd ON LOWER(pd.program_name) = LOWER(st.program_name) WHERE st.id = NEW.student_id),
+            (SELECT COALESCE(g.duration_minutes, pd.duration_minutes) FROM groups g
+               LEFT JOIN program_durations pd ON LOWER(pd.program_name) = LOWER(g.program_name) WHERE g.id = NEW.group_id),
+            40
+          );
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query('DROP TRIGGER IF EXISTS programs_carry_rename ON programs');
+    await client.query('DROP FUNCTION IF EXISTS carry_program_rename()');
+    for (const table of ['students', 'groups']) {
+      await client.query(`DROP TRIGGER IF EXISTS ${table}_program_reference ON ${table}`);
+      await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS program_id`);
+    }
+    await client.query('DROP FUNCTION IF EXISTS sync_program_reference()');
+    await client.query('ALTER TABLE payment_history DROP COLUMN IF EXISTS package_id');
+    await client.query('ALTER TABLE payment_renewals DROP COLUMN IF EXISTS package_id');
+    await client.query('ALTER TABLE students DROP COLUMN IF EXISTS package_id');
+    await client.query('DROP TABLE IF EXISTS program_package_prices');
+    await client.query('DROP TABLE IF EXISTS program_packages');
+    await client.query('DROP TABLE IF EXISTS programs');
+    await client.query('DROP FUNCTION IF EXISTS program_name_key(TEXT)');
+  }
+};
@@ -0,0 +1,20 @@
+// Calendar feed tokens are kept as a sha256 hash, like admin session tokens, so the database (or a backup of it)
+// can't be used to read a family's schedule. Existing links keep working: their hash is computed here.
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE calendar_feeds ADD COLUMN IF NOT EXISTS token_hash TEXT');
+    await client.query(`UPDATE calendar_feeds SET token_hash = encode(sha256(convert_to(token, 'UTF8')), 'hex') WHERE token_hash IS NULL`);
+    await client.query('ALTER TABLE calendar_feeds ALTER COLUMN token_hash SET NOT NULL');
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_calendar_feeds_token_hash ON calendar_feeds(token_hash)');
+    await client.query('ALTER TABLE calendar_feeds DROP COLUMN IF EXISTS token');
+  },
+  down: async (client) => {
+    // The plain tokens can't be recovered, so every feed is revoked and the hash stands in for the token
+    await client.query('ALTER TABLE calendar_feeds ADD COLUMN IF NOT EXISTS token TEXT');
+    await client.query('UPDATE calendar_feeds SET token = token_hash, revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)');
+    await client.query('ALTER TABLE calendar_feeds ALTER COLUMN token SET NOT NULL');
+    await client.query('ALTER TABLE calendar_feeds ADD CONSTRAINT calendar_feeds_token_key UNIQUE (token)');
+    await client.query('DROP INDEX IF EXISTS idx_calendar_feeds_token_hash');
+    await client.query('ALTER TABLE calendar_feeds DROP COLUMN IF EXISTS token_hash');
+  }
+};
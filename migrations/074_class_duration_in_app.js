@@ -0,0 +1,50 @@
+// The "40 mins" text of a student or group is parsed into duration_minutes, and a new length carried over to their
+// upcoming sessions, by the routes that change duration (see SESSION DURATIONS in server.js) instead of the
+// triggers from migration 065.
+module.exports = {
+  up: async (client) => {
+    for (const table of ['students', 'groups']) {
+      await client.query(`DROP TRIGGER IF EXISTS ${table}_carry_duration ON ${table}`);
+      await client.query(`DROP TRIGGER IF EXISTS ${table}_duration_minutes ON ${table}`);
+    }
+    await client.query('DROP FUNCTION IF EXISTS carry_duration_to_sessions()');
+    await client.query('DROP FUNCTION IF EXISTS set_duration_minutes_from_text()');
+    await client.query('DROP FUNCTION IF EXISTS parse_duration_minutes(TEXT)');
+  },
+  down: async (client) => {
+    await client.query(`
+      CREATE OR REPLACE FUNCTION parse_duration_minutes(duration TEXT) RETURNS INTEGER AS $$
+        SELECT CASE
+          WHEN substring(duration from '(\\d+)') IS NULL THEN NULL
+          WHEN duration ~* 'hour|hr' THEN substring(duration from '(\\d+)')::int * 60
+          ELSE substring(duration from '(\\d+)')::int
+        END
+      $$ LANGUAGE sql IMMUTABLE
+    `);
+    await client.query(`
+      CREATE OR REPLACE FUNCTION set_duration_minutes_from_text() RETURNS trigger AS $$
+      BEGIN
+        NEW.duration_minutes := parse_duration_minutes(NEW.duration);
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query(`
+      CREATE OR REPLACE FUNCTION carry_duration_to_sessions() RETURNS trigger AS $$
+      BEGIN
+        IF NEW.duration_minutes IS NOT NULL AND NEW.duration_minutes IS DISTINCT FROM OLD.duration_minutes THEN
+          UPDATE sessions SET duration_minutes = NEW.duration_minutes
+          WHERE (CASE WHEN TG_TABLE_NAME = 'students' THEN student_id ELSE group_id END) = NEW.id
+            AND status IN ('Pending', 'Scheduled') AND session_date >= CURRENT_DATE
+            AND duration_minutes = COALESCE(OLD.duration_minutes, 40);
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    for (const table of ['students', 'groups']) {
+      await client.query(`CREATE TRIGGER ${table}_duration_minutes BEFORE INSERT OR UPDATE OF duration ON ${table} FOR EACH ROW EXECUTE FUNCTION set_duration_minutes_from_text()`);
+      await client.query(`CREATE TRIGGER ${table}_carry_duration AFTER UPDATE OF duration ON ${table} FOR EACH ROW EXECUTE FUNCTION carry_duration_to_sessions()`);
+    }
+  }
+};
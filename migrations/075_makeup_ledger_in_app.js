@@ -0,0 +1,95 @@
+// Makeup credit ledger entries, expiry dates and the use of a credit when its makeup class is held are written by
+// the code that changes makeup_classes (see MAKEUP CREDITS in server.js) instead of the triggers from migrations
+// 070 and 071, so nothing reaches the ledger through transaction settings.
+module.exports = {
+  up: async (client) => {
+    await client.query('DROP TRIGGER IF EXISTS sessions_use_makeup_credit ON sessions');
+    await client.query('DROP TRIGGER IF EXISTS makeup_classes_ledger ON makeup_classes');
+    await client.query('DROP TRIGGER IF EXISTS makeup_classes_expiry ON makeup_classes');
+    await client.query('DROP FUNCTION IF EXISTS use_makeup_credit_for_session()');
+    await client.query('DROP FUNCTION IF EXISTS log_makeup_credit_change()');
+    await client.query('DROP FUNCTION IF EXISTS set_makeup_credit_expiry()');
+  },
+  down: async (client) => {
+    await client.query(`
+      CREATE OR REPLACE FUNCTION set_makeup_credit_expiry() RETURNS trigger AS $$
+      BEGIN
+        IF NEW.expires_at IS NULL AND NEW.status = 'Available' THEN
+          NEW.expires_at := COALESCE(NEW.credit_date, CURRENT_DATE)
+            + (SELECT credit_validity_days FROM cancellation_policy WHERE id = 1);
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query('CREATE TRIGGER makeup_classes_expiry BEFORE INSERT ON makeup_classes FOR EACH ROW EXECUTE FUNCTION set_makeup_credit_expiry()');
+    await client.query(`
+      CREATE OR REPLACE FUNCTION log_makeup_credit_change() RETURNS trigger AS $$
+      DECLARE
+        v_event TEXT := NULLIF(current_setting('app.makeup_ledger_event', true), '');
+        v_reason TEXT := NULLIF(current_setting('app.makeup_ledger_reason', true), '');
+        v_actor TEXT := NULLIF(current_setting('app.makeup_ledger_actor', true), '');
+        v_session_status TEXT;
+      BEGIN
+        IF TG_OP = 'INSERT' THEN
+          INSERT INTO makeup_credit_ledger (student_id, makeup_credit_id, event, change, reason, session_id, actor)
+          VALUES (NEW.student_id, NEW.id, COALESCE(v_event, 'Issued'), CASE WHEN NEW.status = 'Available' THEN 1 ELSE 0 END,
+                  COALESCE(v_reason, NULLIF(NEW.reason, ''), 'Makeup credit'), NEW.original_session_id, COALESCE(v_actor, NEW.added_by));
+          RETURN NEW;
+        END IF;
+
+        IF TG_OP = 'DELETE' THEN
+          -- A student being deleted takes their ledger with them
+          IF OLD.status = 'Available' AND EXISTS (SELECT 1 FROM students WHERE id = OLD.student_id) THEN
+            INSERT INTO makeup_credit_ledger (student_id, makeup_credit_id, event, change, reason, actor)
+            VALUES (OLD.student_id, NULL, COALESCE(v_event, 'Adjusted'), -1,
+                    COALESCE(v_reason, 'Credit removed (' || COALESCE(NULLIF(OLD.reason, ''), 'makeup credit') || ')'), v_actor);
+          END IF;
+          RETURN OLD;
+        END IF;
+
+        IF NEW.status IS DISTINCT FROM OLD.status THEN
+          IF NEW.status = 'Used' THEN
+            SELECT status INTO v_session_status FROM sessions WHERE id = NEW.scheduled_session_id;
+          END IF;
+          INSERT INTO makeup_credit_ledger (student_id, makeup_credit_id, event, change, reason, session_id, actor)
+          VALUES (
+            NEW.student_id, NEW.id,
+            COALESCE(v_event, CASE WHEN NEW.status IN ('Scheduled', 'Used', 'Expired') THEN NEW.status ELSE 'Adjusted' END),
+            (NEW.status = 'Available')::int - (OLD.status = 'Available')::int,
+            COALESCE(v_reason, CASE
+              WHEN NEW.status = 'Scheduled' AND NEW.scheduled_session_id IS NULL THEN 'Applied to a renewed package'
+              WHEN NEW.status = 'Scheduled' THEN 'Makeup class booked for ' || COALESCE(to_char(NEW.scheduled_date, 'DD Mon YYYY'), 'a new date')
+              WHEN NEW.status = 'Used' THEN 'Makeup class ' || CASE WHEN v_session_status = 'Missed' THEN 'missed' ELSE 'attended' END
+              WHEN NEW.status = 'Expired' THEN 'Not used by ' || COALESCE(to_char(OLD.expires_at, 'DD Mon YYYY'), 'its expiry date')
+              ELSE 'Status changed from ' || COALESCE(OLD.status, 'none') || ' to ' || COALESCE(NEW.status, 'none')
+            END),
+            COALESCE(NEW.scheduled_session_id, NEW.original_session_id),
+            COALESCE(v_actor, 'system')
+          );
+        ELSIF NEW.expires_at IS DISTINCT FROM OLD.expires_at THEN
+          INSERT INTO makeup_credit_ledger (student_id, makeup_credit_id, event, change, reason, actor)
+          VALUES (NEW.student_id, NEW.id, COALESCE(v_event, 'Adjusted'), 0,
+                  COALESCE(v_reason, 'Expiry changed to ' || COALESCE(to_char(NEW.expires_at, 'DD Mon YYYY'), 'never')), COALESCE(v_actor, 'system'));
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query(`
+      CREATE TRIGGER makeup_classes_ledger AFTER INSERT OR DELETE OR UPDATE OF status, expires_at ON makeup_classes FOR EACH ROW
+      WHEN (current_setting('app.restoring', true) IS DISTINCT FROM 'on') EXECUTE FUNCTION log_makeup_credit_change()
+    `);
+    await client.query(`
+      CREATE OR REPLACE FUNCTION use_makeup_credit_for_session() RETURNS trigger AS $$
+      BEGIN
+        IF NEW.status IN ('Completed', 'Missed') AND OLD.status IS DISTINCT FROM NEW.status THEN
+          UPDATE makeup_classes SET status = 'Used' WHERE scheduled_session_id = NEW.id AND status = 'Scheduled';
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query('CREATE TRIGGER sessions_use_makeup_credit AFTER UPDATE OF status ON sessions FOR EACH ROW EXECUTE FUNCTION use_makeup_credit_for_session()');
+  }
+};
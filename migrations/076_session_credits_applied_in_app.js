@@ -0,0 +1,27 @@
+// Ledger entries are added to the students counters by the statement that writes them (recordSessionCredits and
+// setSessionCounters in server.js) instead of the trigger from migration 071. The append-only guard stays.
+module.exports = {
+  up: async (client) => {
+    await client.query('DROP TRIGGER IF EXISTS session_credit_ledger_apply ON session_credit_ledger');
+    await client.query('DROP FUNCTION IF EXISTS apply_session_credit_entry()');
+  },
+  down: async (client) => {
+    await client.query(`
+      CREATE OR REPLACE FUNCTION apply_session_credit_entry() RETURNS trigger AS $$
+      BEGIN
+        UPDATE students SET
+          total_sessions = COALESCE(total_sessions, 0) + NEW.total_change,
+          completed_sessions = COALESCE(completed_sessions, 0) + NEW.completed_change,
+          missed_sessions = COALESCE(missed_sessions, 0) + NEW.missed_change,
+          remaining_sessions = COALESCE(remaining_sessions, 0) + NEW.remaining_change
+        WHERE id = NEW.student_id;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query(`
+      CREATE TRIGGER session_credit_ledger_apply AFTER INSERT ON session_credit_ledger FOR EACH ROW
+      WHEN (current_setting('app.restoring', true) IS DISTINCT FROM 'on') EXECUTE FUNCTION apply_session_credit_entry()
+    `);
+  }
+};
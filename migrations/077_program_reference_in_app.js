@@ -0,0 +1,49 @@
+// Students and groups are linked to their program by the routes that write them (resolveProgram in server.js), and a
+// renamed or merged program is carried onto them by its route, instead of the triggers from migration 072.
+module.exports = {
+  up: async (client) => {
+    for (const table of ['students', 'groups']) {
+      await client.query(`DROP TRIGGER IF EXISTS ${table}_program_reference ON ${table}`);
+    }
+    await client.query('DROP FUNCTION IF EXISTS sync_program_reference()');
+    await client.query('DROP TRIGGER IF EXISTS programs_carry_rename ON programs');
+    await client.query('DROP FUNCTION IF EXISTS carry_program_rename()');
+  },
+  down: async (client) => {
+    await client.query(`
+      CREATE OR REPLACE FUNCTION sync_program_reference() RETURNS trigger AS $$
+      DECLARE
+        v_program programs%ROWTYPE;
+      BEGIN
+        IF NEW.program_id IS NOT NULL AND (TG_OP = 'INSERT' OR NEW.program_id IS DISTINCT FROM OLD.program_id) THEN
+          SELECT * INTO v_program FROM programs WHERE id = NEW.program_id;
+        ELSE
+          SELECT * INTO v_program FROM programs WHERE program_name_key(name) = program_name_key(NEW.program_name);
+        END IF;
+        IF FOUND THEN
+          NEW.program_id := v_program.id;
+          NEW.program_name := v_program.name;
+        ELSE
+          NEW.program_id := NULL;
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    for (const table of ['students', 'groups']) {
+      await client.query(`DROP TRIGGER IF EXISTS ${table}_program_reference ON ${table}`);
+      await client.query(`CREATE TRIGGER ${table}_program_reference BEFORE INSERT OR UPDATE OF program_id, program_name ON ${table} FOR EACH ROW EXECUTE FUNCTION sync_program_reference()`);
+    }
+    await client.query(`
+      CREATE OR REPLACE FUNCTION carry_program_rename() RETURNS trigger AS $$
+      BEGIN
+        UPDATE students SET program_name = NEW.name WHERE program_id = NEW.id AND program_name IS DISTINCT FROM NEW.name;
+        UPDATE groups SET program_name = NEW.name WHERE program_id = NEW.id AND program_name IS DISTINCT FROM NEW.name;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query('DROP TRIGGER IF EXISTS programs_carry_rename ON programs');
+    await client.query('CREATE TRIGGER programs_carry_rename AFTER UPDATE OF name ON programs FOR EACH ROW EXECUTE FUNCTION carry_program_rename()');
+  }
+};
@@ -0,0 +1,9 @@
+// Email template versions carry their subject line with the body, so an edited version can change both
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS subject TEXT');
+  },
+  down: async (client) => {
+    await client.query('ALTER TABLE email_templates DROP COLUMN IF EXISTS subject');
+  }
+};
@@ -0,0 +1,23 @@
+// Shared by the admin pages. The admin session lives in an HttpOnly cookie set by /api/admin/login,
+// so fetch() sends it automatically; this only sends the user back to the login page once it expires.
+(function () {
+  var ADMIN_LOGIN_KEY = 'ff_admin_logged_in';
+  var originalFetch = window.fetch.bind(window);
+  var redirecting = false;
+
+  window.fetch = function (input, init) {
+    return originalFetch(input, init).then(function (res) {
+      if (res.status === 401 && !redirecting) {
+        res.clone().json().then(function (data) {
+          if (data && data.code === 'ADMIN_AUTH_REQUIRED' && !redirecting) {
+            redirecting = true;
+            localStorage.removeItem(ADMIN_LOGIN_KEY);
+            alert('Your admin session has expired. Please log in again.');
+            window.location.replace('/index.html');
+          }
+        }).catch(function () {});
+      }
+      return res;
+    });
+  };
+})();
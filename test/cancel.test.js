@@ -0,0 +1,88 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { startServer, createStudent, createSession } = require('./helpers');
+
+let app;
+before(async () => { app = await startServer(); });
+after(() => app.close());
+
+async function cancellationRecords(sessionId) {
+  const query = (sql) => app.pool.query(sql, [sessionId]).then(result => result.rows);
+  return {
+    session: (await query('SELECT status FROM sessions WHERE id = $1'))[0],
+    ledger: await query('SELECT entry_type, remaining_change FROM session_credit_ledger WHERE session_id = $1'),
+    credits: await query(`SELECT id, status, expires_at - CURRENT_DATE AS days_valid FROM makeup_classes WHERE original_session_id = $1`),
+    decisions: await query('SELECT credit_granted, makeup_credit_id FROM cancellation_decisions WHERE session_id = $1')
+  };
+}
+
+async function remainingSessions(studentId) {
+  return (await app.pool.query('SELECT remaining_sessions FROM students WHERE id = $1', [studentId])).rows[0].remaining_sessions;
+}
+
+// The cancellation email goes out after the response; wait briefly for it to reach the outbox
+async function emailAbout(subjectText) {
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const email = app.sentEmails().find(message => message.subject.includes(subjectText));
+    if (email) return email;
+    await sleep(100);
+  }
+  return null;
+}
+
+test('the academy cancelling a class charges it and issues a makeup credit', async () => {
+  const studentId = await createStudent(app.pool, { name: 'Academy Cancel', parentEmail: 'academy-cancel@example.com' });
+  const sessionId = await createSession(app.pool, studentId);
+
+  const res = await app.asAdmin('POST', `/api/sessions/${sessionId}/cancel`, { reason: 'Teacher unwell', grant_makeup_credit: true, cancelled_by: 'Academy' });
+  assert.equal(res.status, 200);
+
+  const records = await cancellationRecords(sessionId);
+  assert.equal(records.session.status, 'Cancelled');
+  assert.deepEqual(records.ledger, [{ entry_type: 'Consumption', remaining_change: -1 }]);
+  assert.equal(await remainingSessions(studentId), 7);
+  assert.equal(records.credits.length, 1);
+  assert.equal(records.credits[0].status, 'Available');
+  assert.equal(records.credits[0].days_valid, 90);
+  assert.deepEqual(records.decisions, [{ credit_granted: true, makeup_credit_id: records.credits[0].id }]);
+
+  const email = await emailAbout('Academy Cancel');
+  assert.ok(email, 'the parent is emailed');
+  assert.match(email.html, /Please use it by <strong>[^<]+<\/strong>/);
+});
+
+test('a parent cancelling with notice is charged and gets a makeup credit', async () => {
+  const studentId = await createStudent(app.pool, { name: 'Parent Cancel', parentEmail: 'parent-cancel@example.com' });
+  const sessionId = await createSession(app.pool, studentId, { daysAhead: 5 });
+  const asParent = await app.loginParent('parent-cancel@example.com');
+
+  const res = await asParent('POST', '/api/parent/cancel-class', { student_id: studentId, session_id: sessionId });
+  assert.equal(res.status, 200);
+
+  const records = await cancellationRecords(sessionId);
+  assert.equal(records.session.status, 'Cancelled by Parent');
+  assert.deepEqual(records.ledger, [{ entry_type: 'Consumption', remaining_change: -1 }]);
+  assert.equal(await remainingSessions(studentId), 7);
+  assert.equal(records.credits.length, 1);
+  assert.deepEqual(records.decisions, [{ credit_granted: true, makeup_credit_id: records.credits[0].id }]);
+});
+
+test('a cancellation that fails part-way leaves no trace', async (t) => {
+  const studentId = await createStudent(app.pool, { name: 'Failed Cancel', parentEmail: 'failed-cancel@example.com' });
+  const sessionId = await createSession(app.pool, studentId);
+  // Recording the decision, the last write, fails
+  await app.pool.query('ALTER TABLE cancellation_decisions RENAME TO cancellation_decisions_hidden');
+  t.after(() => app.pool.query('ALTER TABLE cancellation_decisions_hidden RENAME TO cancellation_decisions'));
+
+  const res = await app.asAdmin('POST', `/api/sessions/${sessionId}/cancel`, { reason: 'Teacher unwell', grant_makeup_credit: true, cancelled_by: 'Academy' });
+  assert.equal(res.status, 500);
+
+  const records = await app.pool.query(`
+    SELECT (SELECT status FROM sessions WHERE id = $1) AS status,
+           (SELECT COUNT(*)::int FROM session_credit_ledger WHERE session_id = $1) AS ledger_entries,
+           (SELECT COUNT(*)::int FROM makeup_classes WHERE original_session_id = $1) AS credits
+  `, [sessionId]);
+  assert.deepEqual(records.rows[0], { status: 'Pending', ledger_entries: 0, credits: 0 });
+  assert.equal(await remainingSessions(studentId), 8);
+});
@@ -0,0 +1,126 @@
+// ==================== TEST HELPERS ====================
+// The tests run against PGlite, an in-memory Postgres, so they need no database server. createPool() wraps it in
+// the part of pg's Pool that server.js and migrate.js use; startServer() loads server.js with that pool in place
+// of pg and listens on a free port. PGlite is a single connection: every client shares it and queries run one at
+// a time, so a test makes its requests one after another.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const { PGlite } = require('@electric-sql/pglite');
+
+const ADMIN_PASSWORD = 'test-admin-password';
+
+function createPool() {
+  const db = new PGlite();
+  let queue = Promise.resolve();
+  // Without parameters a query may hold several statements (as migrations send), which only exec() runs
+  const query = (text, params) => {
+    const run = async () => {
+      if (params && params.length) {
+        const result = await db.query(text, params);
+        return { rows: result.rows, rowCount: result.affectedRows ?? result.rows.length };
+      }
+      const results = await db.exec(text);
+      const last = results[results.length - 1] || { rows: [] };
+      return { rows: last.rows, rowCount: last.affectedRows ?? last.rows.length };
+    };
+    const result = queue.then(run);
+    queue = result.catch(() => {});
+    return result;
+  };
+  const client = { query, release() {} };
+  return { query, connect: async () => client, on() {}, end: () => db.close() };
+}
+
+// Boots server.js on a fresh database. Emails go to a temporary outbox instead of SMTP.
+async function startServer() {
+  const pool = createPool();
+  const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lms-outbox-'));
+  Object.assign(process.env, {
+    DATABASE_URL: 'postgres://test@localhost/test',
+    ADMIN_PASSWORD,
+    EMAIL_TRANSPORT: 'outbox',
+    EMAIL_OUTBOX_DIR: outboxDir
+  });
+  require.cache[require.resolve('pg')] = {
+    loaded: true,
+    exports: {
+      Pool: function Pool() { return pool; },
+      Client: function Client() { return { connect: async () => {}, query: pool.query, end: async () => {}, on() {} }; }
+    }
+  };
+
+  const { app, ensureDatabaseSchemaInitialized } = require('../server');
+  await ensureDatabaseSchemaInitialized();
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, url, { body, headers = {} } = {}) {
+    const res = await fetch(baseUrl + url, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await res.text();
+    let data;
+    try { data = JSON.parse(text); } catch { data = text; }
+    return { status: res.status, data };
+  }
+
+  const admin = await request('POST', '/api/admin/login', { body: { password: ADMIN_PASSWORD } });
+  if (admin.status !== 200) throw new Error(`Admin login failed: ${admin.status} ${JSON.stringify(admin.data)}`);
+  const asAdmin = (method, url, body) => request(method, url, { body, headers: { Authorization: `Bearer ${admin.data.token}` } });
+
+  // Signs in a parent through the portal's password login and returns a request function carrying their session
+  async function loginParent(email, password = 'parent-password') {
+    await pool.query(`
+      INSERT INTO parent_credentials (parent_email, password) VALUES ($1, $2)
+      ON CONFLICT (parent_email) DO UPDATE SET password = $2
+    `, [email, await bcrypt.hash(password, 4)]);
+    const login = await request('POST', '/api/parent/login-password', { body: { email, password } });
+    if (login.status !== 200) throw new Error(`Parent login failed: ${login.status} ${JSON.stringify(login.data)}`);
+    return (method, url, body) => request(method, url, { body, headers: { 'x-parent-token': login.data.token } });
+  }
+
+  // Emails sent so far, oldest first
+  function sentEmails() {
+    return fs.readdirSync(outboxDir).filter(name => name.endsWith('.json')).sort()
+      .map(name => JSON.parse(fs.readFileSync(path.join(outboxDir, name), 'utf8')));
+  }
+
+  function close() {
+    server.close();
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  }
+
+  return { pool, request, asAdmin, loginParent, sentEmails, close };
+}
+
+// A student with sessions already paid for, as the admin's add-student form would leave them
+async function createStudent(pool, { name = 'Test Student', parentEmail = 'parent@example.com', remaining = 8 } = {}) {
+  const student = (await pool.query(`
+    INSERT INTO students (name, grade, parent_name, parent_email, primary_contact, timezone, class_type, total_sessions, remaining_sessions, is_active)
+    VALUES ($1, '3', 'Test Parent', $2, '0000000000', 'Asia/Kolkata', 'Private', $3, $3, true)
+    RETURNING id
+  `, [name, parentEmail, remaining])).rows[0];
+  await pool.query(`
+    INSERT INTO session_credit_ledger (student_id, entry_type, total_change, remaining_change, reason)
+    VALUES ($1, 'Purchase', $2, $2, 'Test package')
+  `, [student.id, remaining]);
+  return student.id;
+}
+
+// An upcoming private class for the student, `daysAhead` days from today at 10:00 UTC
+async function createSession(pool, studentId, { daysAhead = 5 } = {}) {
+  const result = await pool.query(`
+    INSERT INTO sessions (student_id, session_type, session_number, session_date, session_time, status)
+    VALUES ($1, 'Private', 1, CURRENT_DATE + $2::int, '10:00', 'Pending')
+    RETURNING id
+  `, [studentId, daysAhead]);
+  return result.rows[0].id;
+}
+
+module.exports = { createPool, startServer, createStudent, createSession };
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadMigrations, latestMigrationId, runMigrations, getMigrationStatus, rollbackMigrations, tableExists } = require('../migrate');
+const { createPool } = require('./helpers');
+
+const quiet = { log: () => {} };
+
+test('migrations apply, report their status and roll back', async (t) => {
+  const db = createPool();
+  t.after(() => db.end());
+  const files = loadMigrations();
+
+  await t.test('a new database gets every migration, in order', async () => {
+    const applied = await runMigrations(db, quiet);
+    assert.deepEqual(applied.map(m => m.id), files.map(m => m.id));
+    const status = await getMigrationStatus(db);
+    assert.equal(status.latest, latestMigrationId());
+    assert.equal(status.pending.length, 0);
+    assert.equal(status.modified.length, 0);
+    assert.ok(status.entries.every(entry => entry.state === 'applied'));
+  });
+
+  await t.test('running again applies nothing', async () => {
+    assert.deepEqual(await runMigrations(db, quiet), []);
+  });
+
+  await t.test('status shows a migration edited after it was applied, and an id with no file', async () => {
+    const [first] = files;
+    await db.query('UPDATE schema_migrations SET checksum = $1 WHERE id = $2', ['edited', first.id]);
+    await db.query('INSERT INTO schema_migrations (id, name, checksum) VALUES ($1, $2, $3)', [9999, 'from_another_branch', 'x']);
+    const status = await getMigrationStatus(db);
+    assert.deepEqual(status.modified.map(e => e.id), [first.id]);
+    assert.deepEqual(status.unknown.map(e => e.id), [9999]);
+    await db.query('UPDATE schema_migrations SET checksum = $1 WHERE id = $2', [first.checksum, first.id]);
+    await db.query('DELETE FROM schema_migrations WHERE id = 9999');
+  });
+
+  await t.test('down undoes the latest migration, and up applies it again', async () => {
+    const latest = files[files.length - 1];
+    const rolledBack = await rollbackMigrations(db, quiet);
+    assert.deepEqual(rolledBack.map(m => m.id), [latest.id]);
+    assert.deepEqual((await getMigrationStatus(db)).pending.map(e => e.id), [latest.id]);
+    assert.deepEqual((await runMigrations(db, quiet)).map(m => m.id), [latest.id]);
+  });
+
+  await t.test('down to an id undoes every later migration, newest first', async () => {
+    const later = files.filter(m => m.id > 70).map(m => m.id);
+    const rolledBack = await rollbackMigrations(db, { to: 70, ...quiet });
+    assert.deepEqual(rolledBack.map(m => m.id), [...later].reverse());
+    assert.equal(await tableExists(db, 'session_credit_ledger'), false);
+    assert.equal(await tableExists(db, 'makeup_classes'), true);
+    assert.deepEqual((await getMigrationStatus(db)).pending.map(e => e.id), later);
+
+    await runMigrations(db, quiet);
+    assert.equal(await tableExists(db, 'session_credit_ledger'), true);
+    assert.equal((await getMigrationStatus(db)).pending.length, 0);
+  });
+});
@@ -0,0 +1,43 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createStudent, createSession } = require('./helpers');
+
+let app;
+before(async () => { app = await startServer(); });
+after(() => app.close());
+
+test('a parent session reaches only that family\'s students', async (t) => {
+  const ownId = await createStudent(app.pool, { name: 'Own Child', parentEmail: 'family-a@example.com' });
+  const otherId = await createStudent(app.pool, { name: 'Other Child', parentEmail: 'family-b@example.com' });
+  const otherSession = await createSession(app.pool, otherId);
+  const asParent = await app.loginParent('family-a@example.com');
+
+  await t.test('without a session the portal asks to log in', async () => {
+    const res = await app.request('GET', `/api/sessions/${ownId}`);
+    assert.equal(res.status, 401);
+  });
+
+  await t.test('their own child\'s classes load', async () => {
+    const res = await asParent('GET', `/api/sessions/${ownId}`);
+    assert.equal(res.status, 200);
+  });
+
+  await t.test('another family\'s child is refused', async () => {
+    const res = await asParent('GET', `/api/sessions/${otherId}`);
+    assert.equal(res.status, 403);
+  });
+
+  await t.test('another family\'s class cannot be cancelled', async () => {
+    const res = await asParent('POST', '/api/parent/cancel-class', { student_id: otherId, session_id: otherSession });
+    assert.equal(res.status, 403);
+    const session = (await app.pool.query('SELECT status FROM sessions WHERE id = $1', [otherSession])).rows[0];
+    assert.equal(session.status, 'Pending');
+  });
+
+  await t.test('naming their own child does not open another family\'s class', async () => {
+    const res = await asParent('POST', '/api/parent/cancel-class', { student_id: ownId, session_id: otherSession });
+    assert.equal(res.status, 404);
+    const session = (await app.pool.query('SELECT status FROM sessions WHERE id = $1', [otherSession])).rows[0];
+    assert.equal(session.status, 'Pending');
+  });
+});